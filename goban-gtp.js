@@ -0,0 +1,258 @@
+/**
+ * Bridges a GTP engine installed locally (e.g. GNU Go) to the goban page.
+ * The engine is started for each page that connects, speaking GTP over its
+ * stdin and stdout, and the page talks to it over a WebSocket:
+ *
+ *     node goban-gtp.js [--port 8081] [--origin http://localhost:8000] gnugo --mode gtp
+ *
+ * Commands from the page are written to the engine as they arrive, and the
+ * engine's output is passed back as it is written. The bridge listens only
+ * on this machine, but any page open in a browser here could reach it, so
+ * only pages from the origins given with --origin may connect (by default,
+ * pages served from localhost; a page opened as a file has the origin
+ * null), and only the commands which the goban sends are passed on: others,
+ * such as those which read or write files, are refused.
+ */
+const crypto = require("node:crypto");
+const http = require("node:http");
+const {spawn} = require("node:child_process");
+
+// the key appended to a client's nonce in the WebSocket handshake
+const WsGuid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// the most a client may send in one frame or message; GTP commands are short
+const MaxMessage = 0x10000;
+
+// the GTP commands which the goban sends
+const GtpCommands = ["boardsize", "clear_board", "komi", "play", "genmove", "undo", "final_score"];
+
+/**
+ * Encode a WebSocket frame, as sent by a server (unmasked).
+ * @param {number} opcode The frame type: 1 text, 8 close, 10 pong.
+ * @param {Buffer} payload The frame's payload.
+ * @returns {Buffer} The frame.
+ */
+function wsFrame(opcode, payload) {
+    let head;
+    if (payload.length < 126) {
+        head = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        head = Buffer.alloc(4);
+        head.writeUInt16BE(payload.length, 2);
+        head[1] = 126;
+    } else {
+        head = Buffer.alloc(10);
+        head.writeBigUInt64BE(BigInt(payload.length), 2);
+        head[1] = 127;
+    }
+    head[0] = 0x80 | opcode;
+    return Buffer.concat([head, payload]);
+}
+
+/**
+ * Decode the complete WebSocket frames at the start of a buffer, as sent by
+ * a client (masked).
+ * @param {Buffer} buf The data received so far.
+ * @returns {Object} The {frames, rest} decoded frames, each {fin, opcode,
+ *     payload}, and the data left over.
+ * @throws {RangeError} If a frame is longer than MaxMessage.
+ */
+function wsParse(buf) {
+    let frames = [];
+    while (buf.length >= 2) {
+        let len = buf[1] & 0x7f;
+        let off = 2;
+        if (len === 126) {
+            if (buf.length < 4) {
+                break;
+            }
+            len = buf.readUInt16BE(2);
+            off = 4;
+        } else if (len === 127) {
+            if (buf.length < 10) {
+                break;
+            }
+            len = buf.readBigUInt64BE(2);
+            len = (len > MaxMessage) ? Infinity : Number(len);
+            off = 10;
+        }
+        if (len > MaxMessage) {
+            throw new RangeError("WebSocket frame too long");
+        }
+        let masked = (buf[1] & 0x80) !== 0;
+        let start = off + (masked ? 4 : 0);
+        if (buf.length < start + len) {
+            break;
+        }
+        let payload = Buffer.from(buf.subarray(start, start + len));
+        if (masked) {
+            for (let i = 0; i < len; i++) {
+                payload[i] ^= buf[off + i % 4];
+            }
+        }
+        frames.push({fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0f, payload: payload});
+        buf = buf.subarray(start + len);
+    }
+    return {frames: frames, rest: buf};
+}
+
+/**
+ * Decide whether a page may connect to the bridge.
+ * @param {string} origin The page's origin, from the Origin header, if any.
+ * @param {string[]} origins The origins allowed, or null to allow pages
+ *     served from localhost on any port.
+ * @returns {boolean} Whether the page may connect.
+ */
+function allowedOrigin(origin, origins) {
+    if (origin === undefined) {
+        return false;
+    }
+    if (origins === null) {
+        return /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+    }
+    return origins.includes(origin);
+}
+
+/**
+ * Decide whether a GTP command from the page may be passed to the engine.
+ * @param {string} line The command, without its newline.
+ * @returns {boolean} Whether it is one of the commands the goban sends.
+ */
+function allowedCommand(line) {
+    let words = line.trim().split(/\s+/);
+    if (/^\d+$/.test(words[0])) {
+        words.shift();
+    }
+    return GtpCommands.includes(words[0]);
+}
+
+/**
+ * Accept a WebSocket connection and run an engine for it until either end
+ * closes.
+ * @param {http.IncomingMessage} req The upgrade request.
+ * @param {net.Socket} socket The connection.
+ * @param {string[]} argv The engine's command line.
+ * @param {string[]} origins The origins of the pages allowed to connect, or
+ *     null for those served from localhost.
+ */
+function bridge(req, socket, argv, origins) {
+    let key = req.headers["sec-websocket-key"];
+    if (!allowedOrigin(req.headers.origin, origins)) {
+        console.error("refused a connection from " + (req.headers.origin || "a page of unknown origin"));
+        socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+        return;
+    }
+    if (key === undefined) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    let accept = crypto.createHash("sha1").update(key + WsGuid).digest("base64");
+    socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        "Sec-WebSocket-Accept: " + accept + "\r\n\r\n"
+    );
+    let engine = spawn(argv[0], argv.slice(1), {stdio: ["pipe", "pipe", "inherit"]});
+    console.log("engine started for " + req.socket.remoteAddress);
+    engine.stdout.setEncoding("utf8");
+    engine.stdout.on("data", text => socket.write(wsFrame(1, Buffer.from(text))));
+    engine.on("error", e => {
+        console.error("could not start engine: " + e.message);
+        socket.end(wsFrame(8, Buffer.alloc(0)));
+    });
+    engine.on("exit", () => {
+        console.log("engine exited");
+        socket.end(wsFrame(8, Buffer.alloc(0)));
+    });
+    // stdin goes away if the engine does, which is reported above
+    engine.stdin.on("error", () => {});
+
+    let buf = Buffer.alloc(0);
+    let message = [];
+    let size = 0;
+    let line = "";
+    // commands are checked a whole line at a time, and a refused command is
+    // answered here as the engine would answer one it does not know
+    function send(text) {
+        let lines = (line + text).split("\n");
+        line = lines.pop();
+        lines.forEach(cmd => {
+            if (cmd.trim() === "" || allowedCommand(cmd)) {
+                engine.stdin.write(cmd + "\n");
+            } else {
+                console.error("refused command: " + cmd);
+                socket.write(wsFrame(1, Buffer.from("? unknown command\n\n")));
+            }
+        });
+    }
+    socket.on("data", data => {
+        let res;
+        try {
+            res = wsParse(Buffer.concat([buf, data]));
+        } catch (e) {
+            console.error(e.message);
+            socket.end(wsFrame(8, Buffer.alloc(0)));
+            return;
+        }
+        buf = res.rest;
+        res.frames.forEach(f => {
+            if (socket.writableEnded) {
+                return;
+            } else if (f.opcode === 8) {
+                socket.end(wsFrame(8, Buffer.alloc(0)));
+            } else if (f.opcode === 9) {
+                socket.write(wsFrame(10, f.payload));
+            } else if (f.opcode === 0 || f.opcode === 1) {
+                message.push(f.payload);
+                size += f.payload.length;
+                if (size + line.length > MaxMessage) {
+                    console.error("WebSocket message too long");
+                    message = [];
+                    socket.end(wsFrame(8, Buffer.alloc(0)));
+                } else if (f.fin) {
+                    send(Buffer.concat(message).toString());
+                    message = [];
+                    size = 0;
+                }
+            }
+        });
+    });
+    socket.on("close", () => engine.kill());
+    socket.on("error", () => engine.kill());
+}
+
+/**
+ * Parse the command line and start listening for the page.
+ * @param {string[]} args The arguments after the script name.
+ */
+function main(args) {
+    let port = 8081;
+    let origins = null;
+    while (args[0] === "--port" || args[0] === "--origin") {
+        if (args[0] === "--port") {
+            port = parseInt(args[1], 10);
+        } else {
+            origins = (origins || []).concat(args[1]);
+        }
+        args = args.slice(2);
+    }
+    if (args.length === 0 || !(port > 0)) {
+        console.error("usage: node goban-gtp.js [--port 8081] [--origin <page origin>]... <engine> [engine args...]");
+        process.exit(2);
+    }
+    let server = http.createServer((req, res) => {
+        res.writeHead(426, {"Content-Type": "text/plain"});
+        res.end("connect to this port with a WebSocket from the goban page\n");
+    });
+    server.on("upgrade", (req, socket) => bridge(req, socket, args, origins));
+    server.listen(port, "127.0.0.1", () => {
+        console.log("serving " + args.join(" ") + " on ws://localhost:" + port);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {allowedCommand, allowedOrigin, wsFrame, wsParse};
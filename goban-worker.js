@@ -0,0 +1,28 @@
+/**
+ * Runs the computer opponent in a Web Worker, so that the goban stays
+ * responsive while it thinks. Each message describes a position and the
+ * legal moves in it; the reply is the chosen move, or the error which kept
+ * the computer from choosing one.
+ */
+importScripts("goban.js");
+
+onmessage = ev => {
+    let req = ev.data;
+    try {
+        let pos = new Position(req.size);
+        req.state.forEach((player, i) => {
+            if (player !== null) {
+                pos.set(pos.point(i), player);
+            }
+        });
+        let p = new Bot(req.playouts).genmove(pos, req.turn, {
+            candidates: req.candidates.map(c => new Point(c.x, c.y)),
+            passOk: req.passOk,
+            komi: req.komi,
+            suicide: req.suicide,
+        });
+        postMessage({id: req.id, p: p});
+    } catch (e) {
+        postMessage({id: req.id, error: e.message});
+    }
+};
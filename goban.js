@@ -5,14 +5,45 @@
 const Btn = {
     UNDO: "undo",
     REDO: "redo",
+    PREV: "prev",
+    NEXT: "next",
+    DEL:  "delete",
+    PASS: "pass",
+    RESUME: "resume",
+    NEW:  "new",
     MODE: "mode",
     ADDP: "add?",
     BP:   "+b",
     BM:   "-b",
     WP:   "+w",
     WM:   "-w",
+    SAVE: "save",
+    LOAD: "load",
+    GTP:  "gtp",
+    GAMES: "games",
+    SHARE: "share",
+    EXPORT: "export",
+    CONFIRM: "confirm",
+    PAUSE: "pause",
+    PROBLEMS: "problems",
+    HINT: "hint",
+    RESET: "reset",
+    FIRST: "first",
+    BACK: "back",
+    FORWARD: "forward",
+    LAST: "last",
+    AUTOPLAY: "autoplay",
+    TRANSFORM: "transform",
 }
 
+/**
+ * The smallest and largest supported board sizes. The upper bound is the
+ * largest board whose positions can be written as SGF coordinates.
+ * @constant
+ */
+const MinSize = 2;
+const MaxSize = 52;
+
 /**
  * Enumeration of goban edit modes.
  * @constant
@@ -21,6 +52,26 @@ const Btn = {
 const Edit = {
     ADD: 0,
     SUB: 1,
+    TRIANGLE: 2,
+    SQUARE: 3,
+    CIRCLE: 4,
+    CROSS: 5,
+    LETTER: 6,
+    NUMBER: 7,
+}
+
+/**
+ * Enumeration of the marks which may be drawn on the goban, by the SGF
+ * property which records each.
+ * @constant
+ * @enum
+ */
+const Markup = {
+    TRIANGLE: "TR",
+    SQUARE: "SQ",
+    CIRCLE: "CR",
+    CROSS: "MA",
+    LABEL: "LB",
 }
 
 /**
@@ -31,6 +82,8 @@ const Edit = {
 const Mode = {
     PLAY: 0,
     EDIT: 1,
+    SCORE: 2,
+    REVIEW: 3,
 }
 
 /**
@@ -43,6 +96,131 @@ const Player = {
     W: 1,
 }
 
+/**
+ * Enumeration of the reasons a move may be illegal.
+ * @constant
+ * @enum
+ */
+const Illegal = {
+    OCCUPIED: "occupied",
+    SUICIDE: "suicide",
+    KO: "ko",
+    SUPERKO: "superko",
+    // only setup stones: they capture nothing, so may not leave a group without liberties
+    CAPTURE: "capture",
+}
+
+/**
+ * Supported rule sets. Each determines how repetition is forbidden (simple
+ * ko only, or positional or situational superko), whether multi-stone
+ * suicide is legal, how the game is counted, how many points White is given
+ * for a handicap of n stones, and the usual komi.
+ * @constant
+ * @enum
+ */
+const Rules = {
+    JAPANESE: {
+        name: "Japanese", superko: null, suicide: false,
+        counting: "territory", handicapPts: n => 0, komi: 6.5,
+    },
+    CHINESE: {
+        name: "Chinese", superko: "positional", suicide: false,
+        counting: "area", handicapPts: n => n, komi: 7.5,
+    },
+    AGA: {
+        name: "AGA", superko: "situational", suicide: false,
+        counting: "area", handicapPts: n => n - 1, komi: 7.5,
+    },
+    NZ: {
+        name: "NZ", superko: "situational", suicide: true,
+        counting: "area", handicapPts: n => 0, komi: 7,
+    },
+}
+
+/**
+ * Ways to transform a game: the symmetries of the board, each of which takes
+ * a play position on a board of some size to another, and swapping the
+ * colors of the stones.
+ * @constant
+ * @enum
+ */
+const Transform = {
+    ROTATE90: {name: "rotate90", text: "rotated 90° clockwise", point: (p, n) => new Point(n + 1 - p.y, p.x), swap: false},
+    ROTATE180: {name: "rotate180", text: "rotated 180°", point: (p, n) => new Point(n + 1 - p.x, n + 1 - p.y), swap: false},
+    ROTATE270: {name: "rotate270", text: "rotated 90° counterclockwise", point: (p, n) => new Point(p.y, n + 1 - p.x), swap: false},
+    FLIPH: {name: "fliph", text: "flipped left to right", point: (p, n) => new Point(n + 1 - p.x, p.y), swap: false},
+    FLIPV: {name: "flipv", text: "flipped top to bottom", point: (p, n) => new Point(p.x, n + 1 - p.y), swap: false},
+    FLIPD: {name: "flipd", text: "flipped along the diagonal", point: (p, n) => new Point(p.y, p.x), swap: false},
+    SWAP: {name: "swap", text: "colors swapped", point: (p, n) => p, swap: true},
+}
+
+/**
+ * Zobrist hash keys for each board size, generated deterministically so that
+ * the same position always has the same hash.
+ */
+const zobristKeys = new Map();
+
+/**
+ * Get the Zobrist hash keys for a board size. There is one 64-bit key for
+ * each player at each play position, indexed by state index * 2 + player.
+ * @param {number} size The board size.
+ * @returns {BigUint64Array} The hash keys.
+ */
+function zobrist(size) {
+    if (!zobristKeys.has(size)) {
+        // splitmix64
+        const mask = (1n << 64n) - 1n;
+        let x = BigInt(size);
+        let keys = new BigUint64Array(size * size * 2);
+        for (let i = 0; i < keys.length; i++) {
+            x = (x + 0x9e3779b97f4a7c15n) & mask;
+            let z = x;
+            z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & mask;
+            z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & mask;
+            keys[i] = z ^ (z >> 31n);
+        }
+        zobristKeys.set(size, keys);
+    }
+    return zobristKeys.get(size);
+}
+
+/**
+ * The indices of the play positions adjacent to each play position, for
+ * each board size.
+ */
+const adjacencies = new Map();
+
+/**
+ * Get the state indices of the play positions adjacent to each play position
+ * on a board of some size.
+ * @param {number} size The board size.
+ * @returns {number[][]} The indices of the neighbors of each index.
+ */
+function adjacency(size) {
+    if (!adjacencies.has(size)) {
+        let adj = [];
+        for (let i = 0; i < size * size; i++) {
+            let x = i % size;
+            let ns = [];
+            if (i >= size) {
+                ns.push(i - size);
+            }
+            if (x > 0) {
+                ns.push(i - 1);
+            }
+            if (i < size * (size - 1)) {
+                ns.push(i + size);
+            }
+            if (x < size - 1) {
+                ns.push(i + 1);
+            }
+            adj.push(ns);
+        }
+        adjacencies.set(size, adj);
+    }
+    return adjacencies.get(size);
+}
+
 /**
  * A cartesian goban position whose origin is the upper left corner.
  * @class
@@ -52,156 +230,141 @@ class Point {
         this.x = x;
         this.y = y;
     }
+    /**
+     * Determine whether another point is the same play position.
+     * @param {Point} q The point to compare, or null for a pass.
+     * @returns {boolean} Whether the points are the same.
+     */
+    equals(q) {
+        return q !== null && this.x === q.x && this.y === q.y;
+    }
 }
 
 /**
- * Represents the visual and logical state for a goban.
+ * Represents the logical state of a goban: which player, if any, holds each
+ * play position. It knows the rules of capture but nothing of drawing.
+ *
+ * The groups of connected stones and their liberties are kept as stones are
+ * set, so that they need not be found afresh for every move. Adding a stone
+ * joins it to the groups around it; removing one breaks up its group, which
+ * is found again only when next asked for.
  * @class
  */
-class Board {
+class Position {
     /**
-     * Create a new goban.
-     * @param {number} size The initial board size (in play positions per row/col).
-     * @param {Object} ctx The canvas context on which to draw.
+     * Create a new, empty position.
+     * @param {number} size The board size (in play positions per row/col).
      */
-    constructor(size, ctx) {
+    constructor(size) {
         this.state = new Array(size * size).fill(null);
-        this.ctx = ctx;
-        this.size = size;
-        this.pxSize = ctx.canvas.width;
-        this.rule = this.pxSize / (this.size + 1);
-        this.bg = "#fad6a5";
-        this.fg = "#724506";
-    }
-    /**
-     * Resize the goban to more or less play positions.
-     * @param {number} size The new board size (in play positions per line row/col).
-     */
-    resize(size) {
+        this.hash = 0n;
         this.size = size;
-        this.pxSize = this.ctx.canvas.width;
-        this.rule = this.pxSize / (this.size + 1);
-        this.draw();
-        this.state.forEach((player, i) => {
-            if (player !== null) {
-                console.log(i);
-                let y = Math.floor(i / this.size) + 1;
-                let x = i % this.size + 1;
-                this.drawStone(player, new Point(x, y));
-            }
-        });
+        // the {player, stones, libs} group of each stone, or null if there is
+        // no stone or its group is yet to be found
+        this.groups = new Array(size * size).fill(null);
     }
     /**
-     * Determine the play position at a certain pixel coordinate.
-     * @param {number} px The pixel's X coordinate
-     * @param {number} py The pixel's Y coordinate
-     * @returns {Point} A Point that corresponds to the pixel's play position.
+     * Remove every stone from the board.
+     * @param {number} [size] A new board size, if it is to change.
      */
-    pxCoord(px, py) {
-        return new Point(Math.round(px / this.rule), Math.round(py / this.rule));
+    clear(size = this.size) {
+        if (size !== this.size) {
+            this.state = new Array(size * size).fill(null);
+            this.size = size;
+        }
+        this.state.fill(null);
+        this.groups = new Array(size * size).fill(null);
+        this.hash = 0n;
     }
     /**
-     * Draw the goban board and play grid as well as any markers.
+     * Get the index into the state of a play position.
+     * @param {Point} p The play position.
+     * @returns {number} The index of the play position.
      */
-    draw() {
-        this.ctx.fillStyle = this.bg;
-        this.ctx.fillRect(0, 0, this.pxSize, this.pxSize);
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeStyle = this.fg;
-        for (let i = 1; i < this.size + 1; i++) {
-            let pos = i * this.rule;
-            let begin = this.rule;
-            let end = this.pxSize - this.rule;
-            this.ctx.beginPath();
-            this.ctx.moveTo(begin, pos);
-            this.ctx.lineTo(end, pos);
-            this.ctx.stroke();
-            this.ctx.closePath();
-            this.ctx.beginPath();
-            this.ctx.moveTo(pos, begin);
-            this.ctx.lineTo(pos, end);
-            this.ctx.stroke();
-            this.ctx.closePath();
-        }
-        // do center for < 13
-        if (this.size >= 13 && this.size % 2 === 1) {
-            for (let i = 4; i < this.size; i += 6) {
-                for (let j = 4; j < this.size; j += 6) {
-                    this.drawMarker(new Point(i, j));
-                }
-            }
-        }
+    index(p) {
+        return (p.y - 1) * this.size + (p.x - 1);
     }
     /**
-     * Draw a visual marker dot at a play position.
-     * @param {Point} p The play position at which to draw the marker dot.
+     * Get the play position at an index into the state.
+     * @param {number} i The index.
+     * @returns {Point} The play position at the index.
      */
-    drawMarker(p) {
-        this.ctx.fillStyle = this.fg;
-        let dotRad = this.pxSize / 150;
-        this.ctx.beginPath();
-        this.ctx.arc(p.x * this.rule, p.y * this.rule, dotRad, 2 * Math.PI, 0);
-        this.ctx.fill();
-        this.ctx.closePath();
+    point(i) {
+        return new Point(i % this.size + 1, Math.floor(i / this.size) + 1);
     }
     /**
-     * Draw a stone on the goban.
-     * @param {Player} player The color of the stone to draw.
-     * @param {Point} p The play position at which to draw the stone.
+     * Make an independent copy of the position.
+     * @returns {Position} The copy.
      */
-    drawStone(player, p) {
-        this.ctx.fillStyle = (player === Player.B) ? "#000000" : "#ffffff";
-        this.ctx.beginPath();
-        this.ctx.arc(p.x * this.rule, p.y * this.rule, this.rule / 2 - 1, 0, 2 * Math.PI);
-        this.ctx.fill();
-        this.ctx.closePath();
+    copy() {
+        let pos = new Position(this.size);
+        pos.state = this.state.slice();
+        pos.hash = this.hash;
+        // the copy finds its groups as it needs them
+        return pos;
     }
     /**
-     * Erase a stone from the goban, redrawing a marker dot as necessary.
-     * @param {Point} p The play position at which to erase the stone.
+     * Determine the star points (hoshi) for the board's size. Boards of 7 or
+     * more positions have them on the 3-3 points, or the 4-4 points from 13 up;
+     * odd sizes add tengen and, from 15 up, the side star points.
+     * @returns {Point[]} The star points.
      */
-    eraseStone(p) {
-        let cx = p.x * this.rule;
-        let cy = p.y * this.rule;
-        let half = this.rule / 2;
-        let bx = cx - half;
-        let by = cy - half;
-        this.ctx.fillStyle = this.bg;
-        this.ctx.fillRect(bx, by, this.rule, this.rule);
-        this.ctx.strokeStyle = this.fg;
-        this.ctx.beginPath();
-        if (p.x === 1) {
-            this.ctx.moveTo(cx, cy);
-            this.ctx.lineTo(cx + half, cy);
+    hoshi() {
+        if (this.size < 7) {
+            return [];
         }
-        else if (p.x === this.size) {
-            this.ctx.moveTo(bx, cy);
-            this.ctx.lineTo(bx + half, cy);
+        let near = (this.size < 13) ? 3 : 4;
+        let far = this.size + 1 - near;
+        let mid = (this.size + 1) / 2;
+        let lines = [near, far];
+        if (this.size % 2 === 1 && this.size >= 15) {
+            lines.push(mid);
         }
-        else {
-            this.ctx.moveTo(bx, cy);
-            this.ctx.lineTo(bx + this.rule, cy);
+        let res = [];
+        lines.forEach(x => lines.forEach(y => res.push(new Point(x, y))));
+        if (this.size % 2 === 1 && this.size < 15) {
+            res.push(new Point(mid, mid));
         }
-        this.ctx.stroke();
-        this.ctx.closePath();
-        this.ctx.beginPath();
-        if (p.y == 1) {
-            this.ctx.moveTo(cx, cy);
-            this.ctx.lineTo(cx, cy + half);
+        return res;
+    }
+    /**
+     * Determine whether a play position is a star point.
+     * @param {Point} p The play position to check.
+     * @returns {boolean} Whether the play position is a star point.
+     */
+    isHoshi(p) {
+        return this.hoshi().some(h => h.x === p.x && h.y === p.y);
+    }
+    /**
+     * Determine the traditional fixed placement of handicap stones, which
+     * fills the corner star points first, then tengen for odd numbers, then
+     * the side star points.
+     * @param {number} n The number of handicap stones.
+     * @returns {Point[]} The play positions of the handicap stones.
+     * @throws {RangeError} If the board has no fixed placement for that many stones.
+     */
+    handicap(n) {
+        let most = (this.size < 7) ? 0 : (this.size % 2 === 0) ? 4 : 9;
+        if (!Number.isInteger(n) || n < 2 || n > most) {
+            throw new RangeError(
+                (most === 0) ? "a " + this.size + "x" + this.size + " board has no fixed handicap" :
+                "fixed handicap on a " + this.size + "x" + this.size + " board must be from 2 to " + most
+            );
         }
-        else if (p.y == this.size) {
-            this.ctx.moveTo(cx, by);
-            this.ctx.lineTo(cx, by + half);
+        let near = (this.size < 13) ? 3 : 4;
+        let far = this.size + 1 - near;
+        let mid = (this.size + 1) / 2;
+        let res = [new Point(far, near), new Point(near, far), new Point(far, far), new Point(near, near)];
+        if (n >= 6) {
+            res.push(new Point(near, mid), new Point(far, mid));
         }
-        else {
-            this.ctx.moveTo(cx, by);
-            this.ctx.lineTo(cx, by + this.rule);
+        if (n >= 8) {
+            res.push(new Point(mid, near), new Point(mid, far));
         }
-        this.ctx.stroke();
-        this.ctx.closePath();
-        if ((p.x - 4) % 6 === 0 && (p.y - 4) % 6 === 0) {
-            this.drawMarker(p);
+        if (n % 2 === 1 && n >= 5) {
+            res.push(new Point(mid, mid));
         }
+        return res.slice(0, n);
     }
     /**
      * Get which player's stone is at a certian play position.
@@ -230,72 +393,126 @@ class Board {
         else if (p.y < 1 || p.y > this.size) {
             return undefined;
         }
-        return this.state[(p.y - 1) * this.size + (p.x - 1)] = val;
+        let i = (p.y - 1) * this.size + (p.x - 1);
+        let keys = zobrist(this.size);
+        if (this.state[i] === val) {
+            return val;
+        }
+        if (this.state[i] !== null) {
+            this.hash ^= keys[i * 2 + this.state[i]];
+            this.unlink(i);
+        }
+        if (val !== null) {
+            this.hash ^= keys[i * 2 + val];
+            this.link(i, val);
+        }
+        return val;
     }
     /**
-     * Finds a connected group of stones which have no liberties.
-     * @param {Point} p The play position to check.
-     * @returns {Point[]} The group of stones which has no liberties.
+     * Place a stone on an empty point, joining it to its own groups around it
+     * and taking the point from the liberties of the others.
+     * @param {number} i The state index of the point.
+     * @param {Player} player The player whose stone to place.
      */
-    noLibs(p) {
-        let stack = [p];
-        let player = this.get(p);
-        let visited = new Array(this.size * this.size);
-        let conn = [];
-        while (stack.length > 0) {
-            let curr = stack.pop();
-            let i = (curr.y - 1) * this.size + (curr.x - 1);
-            if (visited[i]) {
-                continue;
-            }
-            visited[i] = true;
-            conn.push(curr);
-            // north
-            if (curr.y > 1) {
-                let np = new Point(curr.x, curr.y - 1);
-                let pv = this.get(np);
-                if (pv === null) {
-                    return [];
-                }
-                else if (pv === player) {
-                    stack.push(np);
+    link(i, player) {
+        let own = [];
+        adjacency(this.size)[i].forEach(n => {
+            if (this.state[n] === player) {
+                let g = this.groupAt(n);
+                if (!own.includes(g)) {
+                    own.push(g);
                 }
+            } else if (this.state[n] !== null && this.groups[n] !== null) {
+                this.groups[n].libs.delete(i);
             }
-            // west
-            if (curr.x > 1) {
-                let np = new Point(curr.x - 1, curr.y);
-                let pv = this.get(np);
-                if (pv === null) {
-                    return [];
-                }
-                else if (pv === player) {
-                    stack.push(np);
-                }
+        });
+        this.state[i] = player;
+        let group = {player: player, stones: [i], libs: new Set()};
+        adjacency(this.size)[i].forEach(n => {
+            if (this.state[n] === null) {
+                group.libs.add(n);
             }
-            // south
-            if (curr.y < this.size) {
-                let np = new Point(curr.x, curr.y + 1);
-                let pv = this.get(np);
-                if (pv === null) {
-                    return [];
-                }
-                else if (pv === player) {
-                    stack.push(np);
-                }
+        });
+        // the smaller groups are joined to the largest
+        own.sort((a, b) => b.stones.length - a.stones.length);
+        let joined = (own.length > 0) ? own[0] : group;
+        [group].concat(own.slice(1)).forEach(g => {
+            if (g !== joined) {
+                g.stones.forEach(s => {
+                    joined.stones.push(s);
+                    this.groups[s] = joined;
+                });
+                g.libs.forEach(l => joined.libs.add(l));
             }
-            // east
-            if (curr.x < this.size) {
-                let np = new Point(curr.x + 1, curr.y);
-                let pv = this.get(np);
-                if (pv === null) {
-                    return [];
-                }
-                else if (pv === player) {
-                    stack.push(np);
-                }
+        });
+        joined.libs.delete(i);
+        this.groups[i] = joined;
+    }
+    /**
+     * Remove a stone, breaking up its group to be found again when next
+     * asked for, and giving the point to the groups around it as a liberty.
+     * @param {number} i The state index of the stone.
+     */
+    unlink(i) {
+        let g = this.groups[i];
+        if (g !== null) {
+            g.stones.forEach(s => this.groups[s] = null);
+        }
+        this.state[i] = null;
+        adjacency(this.size)[i].forEach(n => {
+            if (this.groups[n] !== null) {
+                this.groups[n].libs.add(i);
+            }
+        });
+    }
+    /**
+     * Get the group of connected stones which includes a stone, and its
+     * liberties. The group is kept up to date as stones are set, so it must
+     * not be changed, nor kept once the position has.
+     * @param {number} i The state index of the stone.
+     * @returns {Object} The {player, stones, libs} group: its player and the
+     *     state indices of its stones, along with a Set of those of its
+     *     liberties; or null if there is no stone.
+     */
+    groupAt(i) {
+        let player = this.state[i];
+        if (player === null) {
+            return null;
+        }
+        if (this.groups[i] === null) {
+            let g = {player: player, stones: [i], libs: new Set()};
+            this.groups[i] = g;
+            let adj = adjacency(this.size);
+            for (let k = 0; k < g.stones.length; k++) {
+                adj[g.stones[k]].forEach(n => {
+                    if (this.state[n] === null) {
+                        g.libs.add(n);
+                    } else if (this.state[n] === player && this.groups[n] === null) {
+                        this.groups[n] = g;
+                        g.stones.push(n);
+                    }
+                });
             }
         }
-        return conn;
+        return this.groups[i];
+    }
+    /**
+     * Count the liberties of the group of stones at a play position.
+     * @param {Point} p The play position of a stone.
+     * @returns {number} The number of liberties, or 0 if there is no stone.
+     */
+    liberties(p) {
+        let g = this.groupAt(this.index(p));
+        return (g === null) ? 0 : g.libs.size;
+    }
+    /**
+     * Finds a connected group of stones which have no liberties.
+     * @param {Point} p The play position to check.
+     * @returns {Point[]} The group of stones which has no liberties.
+     */
+    noLibs(p) {
+        let g = this.groupAt(this.index(p));
+        return (g === null || g.libs.size > 0) ? [] : g.stones.map(s => this.point(s));
     }
     /**
      * Determines which group of connected stones, if any, are captured by a given move.
@@ -305,121 +522,3507 @@ class Board {
     capture(p) {
         let player = this.get(p);
         let res = [];
-        // north
-        if (p.y > 1) {
-            let np = new Point(p.x, p.y - 1);
-            let pv = this.get(np);
-            if (pv !== null && pv != player) {
-                res.push(np);
-            }
-        }
-        // west
-        if (p.x > 1) {
-            let np = new Point(p.x - 1, p.y);
-            let pv = this.get(np);
-            if (pv !== null && pv != player) {
-                res.push(np);
+        let seen = [];
+        adjacency(this.size)[this.index(p)].forEach(n => {
+            let g = this.groupAt(n);
+            // neighbors in the same group would otherwise be counted twice
+            if (g !== null && g.player !== player && g.libs.size === 0 && !seen.includes(g)) {
+                seen.push(g);
+                g.stones.forEach(s => res.push(this.point(s)));
             }
+        });
+        return res;
+    }
+    /**
+     * Determine what playing a stone at a play position would capture,
+     * without changing the board. If the stone would have no liberties
+     * after capturing, its whole group is suicided.
+     * @param {Point} p The play position at which to play.
+     * @param {Player} player The player whose stone to play.
+     * @param {boolean} suicide Whether multi-stone suicide is legal.
+     * @returns {Object} The {player, p, captured, suicided} move along with the
+     *     hash of the position after it, or the reason the move is illegal.
+     */
+    evaluate(p, player, suicide) {
+        if (this.get(p) !== null) {
+            return {reason: Illegal.OCCUPIED};
         }
-        // south
-        if (p.y < this.size) {
-            let np = new Point(p.x, p.y + 1);
-            let pv = this.get(np);
-            if (pv !== null && pv != player) {
-                res.push(np);
+        // worked out from the groups around the point, leaving the board alone
+        let i = this.index(p);
+        let enemy = (player === Player.B) ? Player.W : Player.B;
+        let keys = zobrist(this.size);
+        let taken = [];
+        let joined = [];
+        let breathes = false;
+        adjacency(this.size)[i].forEach(n => {
+            let g = this.groupAt(n);
+            if (g === null || (g.player === player && g.libs.size > 1)) {
+                breathes = true;
+            } else if (g.player === enemy && g.libs.size === 1 && !taken.includes(g)) {
+                taken.push(g);
+            } else if (g.player === player && !joined.includes(g)) {
+                joined.push(g);
             }
+        });
+        let mv = {player: player, p: p, captured: [], suicided: []};
+        let hash = this.hash ^ keys[i * 2 + player];
+        taken.forEach(g => g.stones.forEach(s => {
+            mv.captured.push(this.point(s));
+            hash ^= keys[s * 2 + enemy];
+        }));
+        if (taken.length === 0 && !breathes) {
+            mv.suicided = [p];
+            hash = this.hash;
+            joined.forEach(g => g.stones.forEach(s => {
+                mv.suicided.push(this.point(s));
+                hash ^= keys[s * 2 + player];
+            }));
         }
-        // east
-        if (p.x < this.size) {
-            let np = new Point(p.x + 1, p.y);
-            let pv = this.get(np);
-            if (pv !== null && pv != player) {
-                res.push(np);
-            }
+        if (mv.suicided.length === 1 || (mv.suicided.length > 0 && !suicide)) {
+            return {reason: Illegal.SUICIDE};
         }
-        res = res.map(x => this.noLibs(x));
-        return res.reduce((acc, curr) => acc.concat(curr), []);
-    }
-}
-
-/**
- * Represents the flow of gameplay, the goban, and the associated interface controls.
- */
-class Game {
-    constructor(size, ctx) {
-        this.mode = Mode.PLAY;
-        this.editMode = Edit.ADD;
-        this.turn = Player.B;
-        this.board = new Board(size, ctx);
-        this.captured = {};
-        this.captured[Player.B] = 0;
-        this.captured[Player.W] = 0;
-        this.undoSt = [];
-        this.redoSt = [];
-        this.controls = new Controls();
+        return {move: mv, hash: hash};
     }
     /**
-     * Toggle whose turn it is to play.
+     * Play a move on the board, without drawing.
+     * @param {Object} mv The {player, p, captured, suicided} move to play.
      */
-    nextTurn() {
-        this.turn = (this.turn === Player.B) ? Player.W : Player.B;
-        this.controls.setDisplay(this.turn);
+    apply(mv) {
+        if (mv.p !== null) {
+            this.set(mv.p, mv.player);
+        }
+        mv.captured.forEach(cp => this.set(cp, null));
+        mv.suicided.forEach(sp => this.set(sp, null));
     }
     /**
-     * Redo the previous move, if available, and update the respetive controls.
+     * Take back a move on the board, without drawing.
+     * @param {Object} mv The {player, p, captured, suicided} move to take back.
      */
-    redo() {
-        if (this.redoSt.length == 0) {
-            return;
-        }
-        let mv = this.redoSt.pop();
-        this.board.set(mv.p, mv.player);
-        this.board.drawStone(mv.player, mv.p);
-        mv.captured.forEach(cp => {
-            this.board.set(cp, null);
-            this.board.eraseStone(cp);
-            this.captured[mv.player]++;
-        });
-        this.controls.updateCaptured(mv.player, this.captured[mv.player]);
-        this.undoSt.push(mv);
-        this.controls.enableButton(Btn.UNDO);
-        if (this.redoSt.length === 0) {
-            this.controls.disableButton(Btn.REDO);
+    revert(mv) {
+        let enemy = (mv.player === Player.B) ? Player.W : Player.B;
+        mv.suicided.forEach(sp => this.set(sp, mv.player));
+        if (mv.p !== null) {
+            this.set(mv.p, null);
         }
-        this.nextTurn();
+        mv.captured.forEach(cp => this.set(cp, enemy));
     }
     /**
-     * Undo the previous move, if available, and update the respective controls.
+     * Make the changes of a setup node to the board, without drawing.
+     * @param {Object[]} stones The {p, from, to} changes, each setting a play
+     *     position from one player (or null, if empty) to another.
      */
-    undo() {
-        if (this.undoSt.length == 0) {
-            return;
-        }
-        let mv = this.undoSt.pop();
-        this.board.set(mv.p, null);
-        this.board.eraseStone(mv.p);
-        let enemy = (mv.player === Player.B) ? Player.W : Player.B;
-        mv.captured.forEach(cp => {
-            this.board.set(cp, enemy);
-            this.board.drawStone(enemy, cp);
-            this.captured[mv.player]--;
-        });
-        this.controls.updateCaptured(mv.player, this.captured[mv.player]);
-        this.redoSt.push(mv);
-        this.controls.enableButton(Btn.REDO);
-        if (this.undoSt.length === 0) {
-            this.controls.disableButton(Btn.UNDO);
+    applySetup(stones) {
+        stones.forEach(s => this.set(s.p, s.to));
+    }
+    /**
+     * Take back the changes of a setup node on the board, without drawing.
+     * @param {Object[]} stones The {p, from, to} changes to take back.
+     */
+    revertSetup(stones) {
+        for (let i = stones.length - 1; i >= 0; i--) {
+            this.set(stones[i].p, stones[i].from);
         }
-        this.nextTurn();
     }
     /**
-     * Clear the undo and redo histories and reset respective game controls.
+     * Get the play positions orthogonally adjacent to a play position.
+     * @param {Point} p The play position whose neighbors to get.
+     * @returns {Point[]} The neighboring play positions on the board.
      */
-    clearHist() {
-        this.undoSt = [];
-        this.redoSt = [];
-        this.controls.disableButton(Btn.UNDO);
-        this.controls.disableButton(Btn.REDO);
+    neighbors(p) {
+        return [
+            new Point(p.x, p.y - 1), new Point(p.x - 1, p.y),
+            new Point(p.x, p.y + 1), new Point(p.x + 1, p.y),
+        ].filter(np => this.get(np) !== undefined);
+    }
+    /**
+     * Finds the connected group of stones, or empty points, containing a play position.
+     * @param {Point} p The play position to check.
+     * @returns {Point[]} The connected group.
+     */
+    group(p) {
+        let player = this.get(p);
+        if (player !== null) {
+            return this.groupAt(this.index(p)).stones.map(s => this.point(s));
+        }
+        let stack = [p];
+        let visited = new Array(this.size * this.size);
+        let conn = [];
+        while (stack.length > 0) {
+            let curr = stack.pop();
+            let i = this.index(curr);
+            if (visited[i]) {
+                continue;
+            }
+            visited[i] = true;
+            conn.push(curr);
+            this.neighbors(curr).filter(np => this.get(np) === player).forEach(np => stack.push(np));
+        }
+        return conn;
+    }
+    /**
+     * Divides the board into territory. Dead stones are counted as empty
+     * points, so they become territory of whoever surrounds them.
+     * @param {Set<number>} dead The state indices of the stones which are dead.
+     * @returns {Object} The territory and number of living stones of each player.
+     */
+    territory(dead) {
+        let res = {territory: {}, alive: {}};
+        [Player.B, Player.W].forEach(player => {
+            res.territory[player] = [];
+            res.alive[player] = 0;
+        });
+        let idx = p => this.index(p);
+        let empty = p => this.get(p) === null || dead.has(idx(p));
+        let visited = new Array(this.size * this.size);
+        for (let y = 1; y <= this.size; y++) {
+            for (let x = 1; x <= this.size; x++) {
+                let p = new Point(x, y);
+                if (!empty(p)) {
+                    res.alive[this.get(p)]++;
+                    continue;
+                }
+                if (visited[idx(p)]) {
+                    continue;
+                }
+                // flood the region and note which players' living stones border it
+                let region = [];
+                let borders = new Set();
+                let stack = [p];
+                visited[idx(p)] = true;
+                while (stack.length > 0) {
+                    let curr = stack.pop();
+                    region.push(curr);
+                    this.neighbors(curr).forEach(np => {
+                        if (!empty(np)) {
+                            borders.add(this.get(np));
+                        } else if (!visited[idx(np)]) {
+                            visited[idx(np)] = true;
+                            stack.push(np);
+                        }
+                    });
+                }
+                if (borders.size === 1) {
+                    let owner = borders.values().next().value;
+                    res.territory[owner] = res.territory[owner].concat(region);
+                }
+            }
+        }
+        return res;
+    }
+    /**
+     * Estimate how far each player's stones hold the board, by Bouzy's
+     * method: influence spreads out from the stones by dilation, and is then
+     * worn away by erosion wherever it meets the other player's. A few
+     * erosions leave the broad areas each player influences; many leave only
+     * what is firmly held.
+     * @param {number} dilations How many times to spread the influence.
+     * @param {number} erosions How many times to wear it away.
+     * @returns {number[]} The influence at each index of the state: positive
+     *     where Black's, negative where White's and 0 where neither's.
+     */
+    influence(dilations, erosions) {
+        let adj = adjacency(this.size);
+        let v = this.state.map(player => (player === Player.B) ? 128 : (player === Player.W) ? -128 : 0);
+        for (let n = 0; n < dilations; n++) {
+            v = v.map((x, i) => {
+                let ns = adj[i].map(j => v[j]);
+                if (x >= 0 && !ns.some(y => y < 0)) {
+                    return x + ns.filter(y => y > 0).length;
+                } else if (x <= 0 && !ns.some(y => y > 0)) {
+                    return x - ns.filter(y => y < 0).length;
+                }
+                return x;
+            });
+        }
+        for (let n = 0; n < erosions; n++) {
+            v = v.map((x, i) => {
+                if (x > 0) {
+                    return Math.max(0, x - adj[i].filter(j => v[j] <= 0).length);
+                } else if (x < 0) {
+                    return Math.min(0, x + adj[i].filter(j => v[j] >= 0).length);
+                }
+                return x;
+            });
+        }
+        return v;
+    }
+}
+
+/**
+ * Looks for the goban: the colors of the board, its lines and the stones,
+ * whether the stones are shaded to look round, whether white stones need an
+ * outline to stand out from the board, and whether the page around it should
+ * be dark.
+ * @constant
+ * @enum
+ */
+const Themes = {
+    CLASSIC: {
+        name: "classic", board: "#fad6a5", line: "#724506",
+        black: "#000000", white: "#ffffff", shaded: false, outline: false, dark: false,
+    },
+    KAYA: {
+        name: "kaya", board: "#e0b466", line: "#4f3410",
+        black: "#111111", white: "#f4f1ea", shaded: true, outline: false, dark: false,
+    },
+    SLATE: {
+        name: "slate", board: "#a9b8bf", line: "#27343a",
+        black: "#16191b", white: "#f7f7f2", shaded: true, outline: false, dark: false,
+    },
+    PAPER: {
+        name: "paper", board: "#ffffff", line: "#000000",
+        black: "#000000", white: "#ffffff", shaded: false, outline: true, dark: false,
+    },
+    DARK: {
+        name: "dark", board: "#2e2a25", line: "#9c8f7c",
+        black: "#050505", white: "#c9c4b8", shaded: true, outline: false, dark: true,
+    },
+}
+
+/**
+ * Represents the visual and logical state for a goban.
+ * @class
+ */
+class Board extends Position {
+    /**
+     * Create a new goban.
+     * @param {number} size The initial board size (in play positions per row/col).
+     * @param {Object} ctx The canvas context on which to draw.
+     */
+    constructor(size, ctx) {
+        super(size);
+        this.ctx = ctx;
+        // canvas pixels per CSS pixel, so that drawing is crisp on dense screens
+        this.scale = 1;
+        this.pxSize = ctx.canvas.width;
+        this.rule = this.pxSize / (this.size + 1);
+        this.coords = false;
+        // the {territory, influence} of each player to shade under the stones
+        this.shading = null;
+        this.setTheme(Themes.CLASSIC);
+    }
+    /**
+     * Change the look of the goban. It is not redrawn.
+     * @param {Object} theme The theme, from Themes.
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        this.bg = theme.board;
+        this.fg = theme.line;
+    }
+    /**
+     * Resize the goban to more or less play positions. Since a position cannot
+     * be carried over to a board of another size, changing the number of play
+     * positions clears the board.
+     * @param {number} size The new board size (in play positions per line row/col).
+     */
+    resize(size) {
+        if (size !== this.size) {
+            this.clear(size);
+        }
+        // drawing is done in CSS pixels, which are scaled up to the canvas's own
+        this.pxSize = this.ctx.canvas.width / this.scale;
+        this.rule = this.pxSize / (this.size + 1);
+        this.ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+        this.draw();
+        if (this.shading !== null) {
+            [Player.B, Player.W].forEach(player => {
+                this.shading.influence[player].forEach(p => this.drawShade(player, p, false));
+                this.shading.territory[player].forEach(p => this.drawShade(player, p, true));
+            });
+        }
+        this.state.forEach((player, i) => {
+            if (player !== null) {
+                this.drawStone(player, this.point(i));
+            }
+        });
+    }
+    /**
+     * Determine the play position at a certain pixel coordinate.
+     * @param {number} px The pixel's X coordinate
+     * @param {number} py The pixel's Y coordinate
+     * @returns {Point} A Point that corresponds to the pixel's play position.
+     */
+    pxCoord(px, py) {
+        return new Point(Math.round(px / this.rule), Math.round(py / this.rule));
+    }
+    /**
+     * Draw the goban board and play grid as well as any markers.
+     */
+    draw() {
+        this.ctx.fillStyle = this.bg;
+        this.ctx.fillRect(0, 0, this.pxSize, this.pxSize);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = this.fg;
+        for (let i = 1; i < this.size + 1; i++) {
+            let pos = i * this.rule;
+            let begin = this.rule;
+            let end = this.pxSize - this.rule;
+            this.ctx.beginPath();
+            this.ctx.moveTo(begin, pos);
+            this.ctx.lineTo(end, pos);
+            this.ctx.stroke();
+            this.ctx.closePath();
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos, begin);
+            this.ctx.lineTo(pos, end);
+            this.ctx.stroke();
+            this.ctx.closePath();
+        }
+        this.hoshi().forEach(p => this.drawMarker(p));
+        if (this.coords) {
+            this.drawCoords();
+        }
+    }
+    /**
+     * Label the rows and columns along every edge of the goban, in the
+     * margin beyond the stones. Columns are lettered as usual, skipping I,
+     * unless the board is too large to letter.
+     */
+    drawCoords() {
+        let near = this.rule / 4;
+        let far = this.pxSize - near;
+        this.ctx.fillStyle = this.fg;
+        this.ctx.font = Math.round(this.rule / 3) + "px sans-serif";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        for (let i = 1; i <= this.size; i++) {
+            let pos = i * this.rule;
+            let col = (this.size <= GtpLetters.length) ? GtpLetters[i - 1] : String(i);
+            let row = String(this.size - i + 1);
+            this.ctx.fillText(col, pos, near);
+            this.ctx.fillText(col, pos, far);
+            this.ctx.fillText(row, near, pos);
+            this.ctx.fillText(row, far, pos);
+        }
+    }
+    /**
+     * Draw a visual marker dot at a play position.
+     * @param {Point} p The play position at which to draw the marker dot.
+     */
+    drawMarker(p) {
+        this.ctx.fillStyle = this.fg;
+        let dotRad = this.pxSize / 150;
+        this.ctx.beginPath();
+        this.ctx.arc(p.x * this.rule, p.y * this.rule, dotRad, 2 * Math.PI, 0);
+        this.ctx.fill();
+        this.ctx.closePath();
+    }
+    /**
+     * Draw a stone on the goban.
+     * @param {Player} player The color of the stone to draw.
+     * @param {Point} p The play position at which to draw the stone.
+     */
+    drawStone(player, p) {
+        let cx = p.x * this.rule;
+        let cy = p.y * this.rule;
+        let r = this.rule / 2 - 1;
+        let color = (player === Player.B) ? this.theme.black : this.theme.white;
+        if (this.theme.shaded) {
+            // lit from the top left
+            let g = this.ctx.createRadialGradient(cx - r / 3, cy - r / 3, r / 8, cx, cy, r);
+            g.addColorStop(0, (player === Player.B) ? "#5a5a5a" : "#ffffff");
+            g.addColorStop(1, color);
+            this.ctx.fillStyle = g;
+        } else {
+            this.ctx.fillStyle = color;
+        }
+        this.ctx.beginPath();
+        this.ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        this.ctx.fill();
+        if (this.theme.outline) {
+            this.ctx.strokeStyle = this.fg;
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        }
+        this.ctx.closePath();
+    }
+    /**
+     * Draw text centred on a play position, such as a move number on a stone.
+     * @param {Point} p The play position at which to draw the text.
+     * @param {string} text The text, which should be short.
+     * @param {string} color The color of the text.
+     */
+    drawLabel(p, text, color) {
+        this.ctx.fillStyle = color;
+        this.ctx.font = "bold " + Math.round(this.rule * ((text.length > 2) ? 0.35 : 0.45)) + "px sans-serif";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(text, p.x * this.rule, p.y * this.rule);
+    }
+    /**
+     * Draw a mark on a play position, over any stone there. A label on an
+     * empty point hides the grid beneath it.
+     * @param {Point} p The play position to mark.
+     * @param {Object} mark The {type, text} mark, of a type in Markup.
+     */
+    drawMark(p, mark) {
+        let cx = p.x * this.rule;
+        let cy = p.y * this.rule;
+        let r = this.rule / 4;
+        let color = (this.get(p) === Player.B) ? "#ffffff" : "#000000";
+        if (mark.type === Markup.LABEL) {
+            if (this.get(p) === null) {
+                this.ctx.fillStyle = this.bg;
+                this.ctx.beginPath();
+                this.ctx.arc(cx, cy, this.rule / 3, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.closePath();
+            }
+            this.drawLabel(p, mark.text, color);
+            return;
+        }
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        if (mark.type === Markup.TRIANGLE) {
+            this.ctx.moveTo(cx, cy - 1.2 * r);
+            this.ctx.lineTo(cx + 1.04 * r, cy + 0.6 * r);
+            this.ctx.lineTo(cx - 1.04 * r, cy + 0.6 * r);
+            this.ctx.closePath();
+        } else if (mark.type === Markup.SQUARE) {
+            this.ctx.rect(cx - r, cy - r, 2 * r, 2 * r);
+        } else if (mark.type === Markup.CIRCLE) {
+            this.ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        } else {
+            this.ctx.moveTo(cx - r, cy - r);
+            this.ctx.lineTo(cx + r, cy + r);
+            this.ctx.moveTo(cx + r, cy - r);
+            this.ctx.lineTo(cx - r, cy + r);
+        }
+        this.ctx.stroke();
+    }
+    /**
+     * Show the number of liberties of a group in a badge at the lower right
+     * of one of its stones, in red for a group in atari.
+     * @param {Point} p The play position of the stone.
+     * @param {number} n The number of liberties.
+     */
+    drawBadge(p, n) {
+        let r = this.rule / 5;
+        let cx = p.x * this.rule + this.rule / 4;
+        let cy = p.y * this.rule + this.rule / 4;
+        this.ctx.fillStyle = (n === 1) ? "#d00000" : this.fg;
+        this.ctx.beginPath();
+        this.ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.closePath();
+        this.ctx.fillStyle = "#ffffff";
+        this.ctx.font = "bold " + Math.round(r * ((n > 9) ? 1.1 : 1.5)) + "px sans-serif";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(String(n), cx, cy);
+    }
+    /**
+     * Warn that a stone is in atari with a red ring around it.
+     * @param {Point} p The play position of the stone.
+     */
+    drawAtari(p) {
+        this.ctx.strokeStyle = "#d00000";
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(p.x * this.rule, p.y * this.rule, this.rule / 2 - 1, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.closePath();
+    }
+    /**
+     * Mark the stone at a play position as the last played.
+     * @param {Point} p The play position of the stone.
+     */
+    drawLastMove(p) {
+        this.ctx.strokeStyle = (this.get(p) === Player.B) ? "#ffffff" : "#000000";
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(p.x * this.rule, p.y * this.rule, this.rule / 4, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.closePath();
+    }
+    /**
+     * Draw a translucent stone, to preview a move.
+     * @param {Player} player The color of the stone to draw.
+     * @param {Point} p The play position at which to draw the stone.
+     */
+    drawGhost(player, p) {
+        this.ctx.globalAlpha = 0.5;
+        this.drawStone(player, p);
+        this.ctx.globalAlpha = 1;
+    }
+    /**
+     * Draw a magnified view of the goban around a play position, in the
+     * corner furthest from it, so that a point hidden under a finger can be
+     * seen. The view is copied from what has been drawn so far.
+     * @param {Point} p The play position at the middle of the view.
+     */
+    drawLoupe(p) {
+        let radius = this.pxSize / 6;
+        let zoom = 2.5;
+        let lx = (p.x > this.size / 2) ? radius + 4 : this.pxSize - radius - 4;
+        let ly = (p.y > this.size / 2) ? radius + 4 : this.pxSize - radius - 4;
+        // the canvas is copied in its own pixels, not CSS pixels
+        let src = radius / zoom * this.scale;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(lx, ly, radius, 0, 2 * Math.PI);
+        this.ctx.clip();
+        this.ctx.drawImage(this.ctx.canvas, p.x * this.rule * this.scale - src, p.y * this.rule * this.scale - src,
+            2 * src, 2 * src, lx - radius, ly - radius, 2 * radius, 2 * radius);
+        this.ctx.restore();
+        this.ctx.strokeStyle = this.fg;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(lx, ly, radius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.closePath();
+    }
+    /**
+     * Draw the keyboard cursor around a play position.
+     * @param {Point} p The play position at which to draw the cursor.
+     */
+    drawCursor(p) {
+        let half = this.rule / 2 - 1;
+        this.ctx.strokeStyle = "#d00000";
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(p.x * this.rule - half, p.y * this.rule - half, 2 * half, 2 * half);
+    }
+    /**
+     * Draw a territory marker on the goban.
+     * @param {Player} player The player who owns the territory.
+     * @param {Point} p The play position at which to draw the marker.
+     */
+    drawTerritory(player, p) {
+        let half = this.rule / 6;
+        this.ctx.fillStyle = (player === Player.B) ? "#000000" : "#ffffff";
+        this.ctx.strokeStyle = (player === Player.B) ? "#ffffff" : "#000000";
+        this.ctx.lineWidth = 1;
+        this.ctx.fillRect(p.x * this.rule - half, p.y * this.rule - half, 2 * half, 2 * half);
+        this.ctx.strokeRect(p.x * this.rule - half, p.y * this.rule - half, 2 * half, 2 * half);
+    }
+    /**
+     * Shade a play position in a player's color, to show that it is theirs
+     * or under their influence.
+     * @param {Player} player The player to whom the play position belongs.
+     * @param {Point} p The play position to shade.
+     * @param {boolean} held Whether the player holds it firmly, which is
+     *     shaded darker than mere influence.
+     */
+    drawShade(player, p, held) {
+        let half = this.rule / 2;
+        this.ctx.globalAlpha = (held) ? 0.45 : 0.2;
+        this.ctx.fillStyle = (player === Player.B) ? this.theme.black : this.theme.white;
+        this.ctx.fillRect(p.x * this.rule - half, p.y * this.rule - half, this.rule, this.rule);
+        this.ctx.globalAlpha = 1;
+    }
+    /**
+     * Erase a stone from the goban, redrawing a marker dot as necessary.
+     * @param {Point} p The play position at which to erase the stone.
+     */
+    eraseStone(p) {
+        let cx = p.x * this.rule;
+        let cy = p.y * this.rule;
+        let half = this.rule / 2;
+        let bx = cx - half;
+        let by = cy - half;
+        this.ctx.fillStyle = this.bg;
+        this.ctx.fillRect(bx, by, this.rule, this.rule);
+        this.ctx.strokeStyle = this.fg;
+        this.ctx.beginPath();
+        if (p.x === 1) {
+            this.ctx.moveTo(cx, cy);
+            this.ctx.lineTo(cx + half, cy);
+        }
+        else if (p.x === this.size) {
+            this.ctx.moveTo(bx, cy);
+            this.ctx.lineTo(bx + half, cy);
+        }
+        else {
+            this.ctx.moveTo(bx, cy);
+            this.ctx.lineTo(bx + this.rule, cy);
+        }
+        this.ctx.stroke();
+        this.ctx.closePath();
+        this.ctx.beginPath();
+        if (p.y == 1) {
+            this.ctx.moveTo(cx, cy);
+            this.ctx.lineTo(cx, cy + half);
+        }
+        else if (p.y == this.size) {
+            this.ctx.moveTo(cx, by);
+            this.ctx.lineTo(cx, by + half);
+        }
+        else {
+            this.ctx.moveTo(cx, by);
+            this.ctx.lineTo(cx, by + this.rule);
+        }
+        this.ctx.stroke();
+        this.ctx.closePath();
+        if (this.isHoshi(p)) {
+            this.drawMarker(p);
+        }
+    }
+}
+
+/**
+ * Raised when an SGF file is malformed or describes a game that cannot be played.
+ * @class
+ */
+class SgfError extends Error {
+    /**
+     * @param {string} msg A description of the problem.
+     * @param {number} [pos] The character offset in the file at which it was found.
+     */
+    constructor(msg, pos) {
+        super((pos === undefined) ? msg : msg + " (at character " + pos + ")");
+        this.name = "SgfError";
+    }
+}
+
+/**
+ * Convert a play position to an SGF coordinate pair (e.g. "dd").
+ * @param {Point} p The play position to convert.
+ * @returns {string} The SGF coordinate pair.
+ */
+function sgfCoord(p) {
+    const letters = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    return letters[p.x - 1] + letters[p.y - 1];
+}
+
+/**
+ * Convert an SGF coordinate pair to a play position.
+ * @param {string} s The SGF coordinate pair.
+ * @param {number} size The size of the board on which the position lies.
+ * @returns {Point} The corresponding play position.
+ * @throws {SgfError} If the coordinate is not on the board.
+ */
+function sgfPoint(s, size) {
+    const letters = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    let x = letters.indexOf(s[0]) + 1;
+    let y = letters.indexOf(s[1]) + 1;
+    if (s.length !== 2 || x < 1 || x > size || y < 1 || y > size) {
+        throw new SgfError("invalid point [" + s + "] for a " + size + "x" + size + " board");
+    }
+    return new Point(x, y);
+}
+
+/**
+ * Expand an SGF point list, which may contain compressed "aa:cc" rectangles.
+ * @param {string[]} vals The property values to expand.
+ * @param {number} size The size of the board on which the points lie.
+ * @returns {Point[]} Every play position in the list.
+ */
+function sgfPoints(vals, size) {
+    let res = [];
+    vals.forEach(v => {
+        let [a, b] = v.split(":");
+        let p = sgfPoint(a, size);
+        let q = (b === undefined) ? p : sgfPoint(b, size);
+        for (let y = Math.min(p.y, q.y); y <= Math.max(p.y, q.y); y++) {
+            for (let x = Math.min(p.x, q.x); x <= Math.max(p.x, q.x); x++) {
+                res.push(new Point(x, y));
+            }
+        }
+    });
+    return res;
+}
+
+/**
+ * Parse the text of an SGF file into its game trees. Each tree has a list of
+ * nodes (objects mapping property identifiers to lists of values) and a list
+ * of child trees (variations).
+ * @param {string} text The contents of the SGF file.
+ * @returns {Object[]} The game trees in the file's collection.
+ * @throws {SgfError} If the file is not well formed.
+ */
+function parseSgf(text) {
+    let i = 0;
+    let peek = () => (i < text.length) ? text[i] : "";
+    let skipWs = () => {
+        while (/\s/.test(peek())) {
+            i++;
+        }
+    };
+    let fail = msg => {
+        throw new SgfError(msg, i);
+    };
+
+    function value() {
+        let start = i++;
+        let v = "";
+        while (peek() !== "]") {
+            if (i >= text.length) {
+                i = start;
+                fail("unterminated property value");
+            }
+            if (text[i] === "\\") {
+                i++;
+                // an escaped newline is a soft line break and is removed
+                if (text[i] === "\r" && text[i + 1] === "\n") {
+                    i++;
+                } else if (text[i] !== "\n" && text[i] !== "\r") {
+                    v += peek();
+                }
+                i++;
+            } else {
+                v += text[i++];
+            }
+        }
+        i++;
+        return v;
+    }
+
+    function node() {
+        let props = {};
+        skipWs();
+        while (/[A-Za-z]/.test(peek())) {
+            let start = i;
+            while (/[A-Za-z]/.test(peek())) {
+                i++;
+            }
+            // FF[3] allowed lowercase letters in identifiers; they are ignored
+            let id = text.slice(start, i).replace(/[a-z]/g, "");
+            skipWs();
+            if (peek() !== "[") {
+                fail("property " + id + " has no value");
+            }
+            if (id in props) {
+                fail("property " + id + " appears twice in one node");
+            }
+            let vals = [];
+            while (peek() === "[") {
+                vals.push(value());
+                skipWs();
+            }
+            props[id] = vals;
+        }
+        return props;
+    }
+
+    function tree() {
+        i++;
+        let t = {nodes: [], children: []};
+        skipWs();
+        while (peek() === ";") {
+            i++;
+            t.nodes.push(node());
+            skipWs();
+        }
+        if (t.nodes.length === 0) {
+            fail("expected ';' to begin a node");
+        }
+        while (peek() === "(") {
+            t.children.push(tree());
+            skipWs();
+        }
+        if (peek() !== ")") {
+            fail((i >= text.length) ? "unexpected end of file" : "unexpected '" + peek() + "'");
+        }
+        i++;
+        return t;
+    }
+
+    skipWs();
+    let trees = [];
+    while (peek() === "(") {
+        trees.push(tree());
+        skipWs();
+    }
+    if (trees.length === 0) {
+        fail("no game tree found");
+    }
+    return trees;
+}
+
+/**
+ * Parse the fragment of a link to a game, as made by Engine.toLink(), into a
+ * game tree like those read by parseSgf(). The fragment holds the board size
+ * (sz), setup stones (ab, aw), first player (pl), komi (km), the rule set
+ * by its name in lower case (ru, Japanese if left out), the moves of one
+ * line of play as SGF coordinate pairs (mv), ".." for a pass and "!" before a
+ * move by the player who moved last, and the number of the move reached (at).
+ * @param {string} text The fragment, without its "#".
+ * @returns {Object} The {tree, at} game tree and number of the move reached.
+ * @throws {SgfError} If the fragment is malformed.
+ */
+function parseLink(text) {
+    let params = new URLSearchParams(text);
+    let pairs = (id) => {
+        let v = params.get(id) || "";
+        if (v.length % 2 !== 0) {
+            throw new SgfError("the link is truncated or garbled (" + id + "=" + v + ")");
+        }
+        return v.match(/../g) || [];
+    };
+    if (!params.has("sz")) {
+        throw new SgfError("the link has no board size");
+    }
+    let pl = params.get("pl") || "b";
+    if (!/^[bw]$/.test(pl)) {
+        throw new SgfError("invalid player in link (pl=" + pl + ")");
+    }
+    let root = {SZ: [params.get("sz")], AB: pairs("ab"), AW: pairs("aw"), PL: [pl.toUpperCase()]};
+    if (params.has("km")) {
+        root.KM = [params.get("km")];
+    }
+    if (params.has("ru")) {
+        let rules = Object.values(Rules).find(r => r.name.toLowerCase() === params.get("ru"));
+        if (rules === undefined) {
+            throw new SgfError("unknown rules in link (ru=" + params.get("ru") + ")");
+        }
+        root.RU = [rules.name];
+    }
+    let nodes = [root];
+    let player = pl.toUpperCase();
+    let mv = params.get("mv") || "";
+    for (let i = 0; i < mv.length; i += 2) {
+        if (mv[i] === "!") {
+            player = (player === "B") ? "W" : "B";
+            i++;
+        }
+        let v = mv.slice(i, i + 2);
+        if (v.length !== 2 || v.includes("!")) {
+            throw new SgfError("the link is truncated or garbled (mv=" + mv + ")");
+        }
+        let node = {};
+        node[player] = [(v === "..") ? "" : v];
+        nodes.push(node);
+        player = (player === "B") ? "W" : "B";
+    }
+    let at = params.get("at") || String(nodes.length - 1);
+    if (!/^\d+$/.test(at)) {
+        throw new SgfError("invalid move number in link (at=" + at + ")");
+    }
+    return {tree: {nodes: nodes, children: []}, at: parseInt(at, 10)};
+}
+
+/**
+ * A computer opponent which chooses moves by Monte Carlo simulation. Each
+ * candidate move is tried in a number of random playouts to the end of the
+ * game, choosing which to try next by UCB1, and the most tried is played.
+ * @class
+ */
+class Bot {
+    /**
+     * @param {number} playouts How many playouts to run per move; more is stronger.
+     */
+    constructor(playouts) {
+        this.playouts = playouts;
+    }
+    /**
+     * Determine whether a play position is an eye of a player's: an empty
+     * point whose neighbors are all that player's stones.
+     * @param {Position} pos The position.
+     * @param {Point} p The play position to check.
+     * @param {Player} player The player whose eye it might be.
+     * @returns {boolean} Whether the play position is an eye.
+     */
+    isEye(pos, p, player) {
+        return pos.neighbors(p).every(np => pos.get(np) === player);
+    }
+    /**
+     * Choose a move.
+     * @param {Position} pos The position from which to move.
+     * @param {Player} player The player to move.
+     * @param {Object} opts The following options:
+     * @param {Point[]} opts.candidates The legal moves to choose between.
+     * @param {boolean} opts.passOk Whether passing should also be considered.
+     * @param {number} opts.komi The compensation given to White.
+     * @param {boolean} [opts.suicide] Whether multi-stone suicide is legal,
+     *     as it must be if the candidates include one.
+     * @returns {Point} The chosen move, or null to pass.
+     */
+    genmove(pos, player, opts) {
+        let cands = opts.candidates.filter(p => !this.isEye(pos, p, player));
+        if (opts.passOk || cands.length === 0) {
+            cands.push(null);
+        }
+        if (cands.length === 1) {
+            return cands[0];
+        }
+        let wins = new Array(cands.length).fill(0);
+        let visits = new Array(cands.length).fill(0);
+        for (let t = 0; t < this.playouts; t++) {
+            let arm = visits.indexOf(0);
+            if (arm < 0) {
+                let best = -Infinity;
+                visits.forEach((n, i) => {
+                    let ucb = wins[i] / n + Math.sqrt(2 * Math.log(t) / n);
+                    if (ucb > best) {
+                        best = ucb;
+                        arm = i;
+                    }
+                });
+            }
+            let sim = pos.copy();
+            let ko = null;
+            if (cands[arm] !== null) {
+                let mv = sim.evaluate(cands[arm], player, opts.suicide === true).move;
+                sim.apply(mv);
+                ko = (mv.captured.length === 1) ? mv.captured[0] : null;
+            }
+            let enemy = (player === Player.B) ? Player.W : Player.B;
+            if (this.playout(sim, enemy, ko, opts.komi) === player) {
+                wins[arm]++;
+            }
+            visits[arm]++;
+        }
+        return cands[visits.indexOf(Math.max(...visits))];
+    }
+    /**
+     * Play random moves, never filling a player's own eyes, until both
+     * players pass, then count the result by area.
+     * @param {Position} pos The position from which to play, which is changed.
+     * @param {Player} player The player to move first.
+     * @param {Point} ko The point which may not be played first because of ko, if any.
+     * @param {number} komi The compensation given to White.
+     * @returns {Player} The winner.
+     */
+    playout(pos, player, ko, komi) {
+        let empties = [];
+        pos.state.forEach((v, i) => {
+            if (v === null) {
+                empties.push(i);
+            }
+        });
+        let passes = 0;
+        for (let moves = 0; passes < 2 && moves < pos.size * pos.size * 3; moves++) {
+            let mv = null;
+            let start = Math.floor(Math.random() * empties.length);
+            for (let k = 0; k < empties.length && mv === null; k++) {
+                let i = empties[(start + k) % empties.length];
+                let p = pos.point(i);
+                if ((ko !== null && p.equals(ko)) || this.isEye(pos, p, player)) {
+                    continue;
+                }
+                let res = pos.evaluate(p, player, false);
+                if (res.reason === undefined) {
+                    mv = res.move;
+                    pos.apply(mv);
+                }
+            }
+            if (mv === null) {
+                passes++;
+                ko = null;
+            } else {
+                passes = 0;
+                empties.splice(empties.indexOf(pos.index(mv.p)), 1);
+                mv.captured.forEach(cp => empties.push(pos.index(cp)));
+                ko = (mv.captured.length === 1) ? mv.captured[0] : null;
+            }
+            player = (player === Player.B) ? Player.W : Player.B;
+        }
+        let res = pos.territory(new Set());
+        let black = res.alive[Player.B] + res.territory[Player.B].length;
+        let white = res.alive[Player.W] + res.territory[Player.W].length + komi;
+        return (black > white) ? Player.B : Player.W;
+    }
+}
+
+/**
+ * Find the first and last columns and rows of the region of a board between
+ * two corners, given in either order.
+ * @param {number} size The board size.
+ * @param {Point} [from] One corner of the region; the whole board if omitted.
+ * @param {Point} [to] The opposite corner.
+ * @returns {Object} The {x1, y1, x2, y2} bounds of the region.
+ */
+function regionBounds(size, from, to) {
+    if (from === undefined) {
+        return {x1: 1, y1: 1, x2: size, y2: size};
+    }
+    return {
+        x1: Math.min(from.x, to.x), y1: Math.min(from.y, to.y),
+        x2: Math.max(from.x, to.x), y2: Math.max(from.y, to.y),
+    };
+}
+
+/**
+ * A node in the game tree. Every node but the root holds the move which leads
+ * to it from its parent, or else the changes made to the position by hand, as
+ * in edit mode.
+ * @class
+ */
+class MoveNode {
+    /**
+     * @param {MoveNode} parent The node from which this one is reached.
+     * @param {Object} move The {player, p, captured} move leading to this
+     *     node, or null for the root or a setup node.
+     * @param {Object} [setup] The {stones, turn, prisoners} changes leading to
+     *     a setup node: the {p, from, to} stones changed, whose turn it was
+     *     before and after, and the prisoners added to each player's tally.
+     */
+    constructor(parent, move, setup = null) {
+        this.parent = parent;
+        this.move = move;
+        this.setup = setup;
+        this.children = [];
+        this.active = 0;
+        // {type, text} marks by the index of their play positions
+        this.markup = new Map();
+        this.comment = "";
+    }
+    /**
+     * Get the child along the active line of play.
+     * @returns {MoveNode} The active child, if any.
+     */
+    next() {
+        return this.children[this.active];
+    }
+    /**
+     * Find whose turn it is at this node, as far as the tree can tell: after
+     * a move, the other player's; after a setup node, whoever it gave the
+     * turn to; at the root, whoever moves (or is set up) first.
+     * @returns {Player} The player to move, or undefined at a root with no
+     *     children.
+     */
+    toMove() {
+        if (this.setup !== null) {
+            return this.setup.turn[1];
+        } else if (this.move !== null) {
+            return (this.move.player === Player.B) ? Player.W : Player.B;
+        }
+        let first = this.next();
+        return (first === undefined) ? undefined : (first.setup !== null) ? first.setup.turn[0] : first.move.player;
+    }
+}
+
+/**
+ * Represents the rules and flow of a game of go, independent of any
+ * interface: the position, whose turn it is, the prisoners taken, and the
+ * tree of moves played. Every change is announced to listeners, so that an
+ * interface (or anything else) can follow along.
+ * @class
+ */
+class Engine {
+    /**
+     * Create a new game on an empty board.
+     * @param {number} size The board size (in play positions per row/col).
+     * @param {Position} [board] The position to play on, if not a new one.
+     */
+    constructor(size, board = new Position(size)) {
+        this.mode = Mode.PLAY;
+        this.turn = Player.B;
+        this.board = board;
+        this.captured = {};
+        this.captured[Player.B] = 0;
+        this.captured[Player.W] = 0;
+        this.root = new MoveNode(null, null);
+        this.node = this.root;
+        this.setup = this.board.state.slice();
+        this.rules = Rules.JAPANESE;
+        this.komi = this.rules.komi;
+        this.handicap = 0;
+        this.placing = 0;
+        this.dead = new Set();
+        this.root.hash = this.board.hash;
+        this.listeners = [];
+    }
+    /**
+     * Register a function to be called after every change to the game. It is
+     * passed the type of change ("new", "load", "setup", "edit", "play",
+     * "undo", "redo", "jump", "variation", "score", "markup" or "transform")
+     * and, for moves, the move concerned, or for a transformation, the
+     * transformation.
+     * @param {function(string, Object)} fn The listener.
+     */
+    addListener(fn) {
+        this.listeners.push(fn);
+    }
+    /**
+     * Stop calling a function registered with addListener.
+     * @param {function(string, Object)} fn The listener.
+     */
+    removeListener(fn) {
+        this.listeners = this.listeners.filter(l => l !== fn);
+    }
+    /**
+     * Notify every listener of a change to the game.
+     * @param {string} type The type of change.
+     * @param {Object} [mv] The move concerned, if any.
+     */
+    emit(type, mv) {
+        this.listeners.forEach(fn => fn(type, mv));
+    }
+    /**
+     * Toggle whose turn it is to play.
+     */
+    nextTurn() {
+        this.turn = (this.turn === Player.B) ? Player.W : Player.B;
+    }
+    /**
+     * Start a new game on an empty board, discarding the current one.
+     * @param {number} size The new board size (in play positions per row/col).
+     * @param {Object} [opts] Any of the following options:
+     * @param {number} [opts.handicap=0] The number of handicap stones given to Black.
+     * @param {boolean} [opts.free=false] Whether Black places the handicap stones
+     *     freely rather than on the traditional points.
+     * @param {Object} [opts.rules=Rules.JAPANESE] The rule set to play by.
+     * @param {number} [opts.komi] The compensation given to White, by default
+     *     the usual komi for the rule set.
+     * @throws {RangeError} If any option is out of range.
+     */
+    newGame(size, opts = {}) {
+        let handicap = opts.handicap || 0;
+        let rules = opts.rules || Rules.JAPANESE;
+        let komi = (opts.komi === undefined) ? rules.komi : opts.komi;
+        if (!Number.isInteger(size) || size < MinSize || size > MaxSize) {
+            throw new RangeError("board size must be an integer from " + MinSize + " to " + MaxSize);
+        }
+        if (!Number.isFinite(komi)) {
+            throw new RangeError("komi must be a number");
+        }
+        let stones = [];
+        if (handicap !== 0) {
+            if (opts.free) {
+                if (!Number.isInteger(handicap) || handicap < 2 || handicap >= size * size) {
+                    throw new RangeError("free handicap must be at least 2 stones and leave room to play");
+                }
+            } else {
+                stones = new Position(size).handicap(handicap);
+            }
+        }
+        if (this.mode === Mode.SCORE || this.mode === Mode.REVIEW) {
+            this.mode = Mode.PLAY;
+        }
+        this.board.clear(size);
+        stones.forEach(p => this.board.set(p, Player.B));
+        this.rules = rules;
+        this.komi = komi;
+        this.handicap = handicap;
+        this.placing = (opts.free) ? handicap : 0;
+        this.turn = (handicap === 0 || opts.free) ? Player.B : Player.W;
+        this.captured[Player.B] = 0;
+        this.captured[Player.W] = 0;
+        this.dead = new Set();
+        this.resetHist();
+        this.emit("new");
+    }
+    /**
+     * Place one of Black's free handicap stones. Once the last is placed, the
+     * turn passes to White.
+     * @param {Point} p The play position at which to place the stone.
+     */
+    placeHandicap(p) {
+        if (this.placing === 0 || this.board.get(p) !== null) {
+            return;
+        }
+        this.board.set(p, Player.B);
+        if (--this.placing === 0) {
+            this.turn = Player.W;
+        }
+        this.resetHist();
+        this.emit("setup");
+    }
+    /**
+     * Determine whether the current player may play at a play position under
+     * the rules, and what the move would capture.
+     * @param {Point} p The play position to check.
+     * @returns {Object} The {player, p, captured, suicided} move, or the
+     *     reason it is illegal.
+     */
+    check(p) {
+        let res = this.board.evaluate(p, this.turn, this.rules.suicide);
+        if (res.reason !== undefined) {
+            return res;
+        }
+        let enemy = (this.turn === Player.B) ? Player.W : Player.B;
+        if (this.rules.superko === null) {
+            // simple ko: the position before the last move may not be repeated
+            if (this.node.move !== null && this.node.parent.hash === res.hash) {
+                return {reason: Illegal.KO};
+            }
+            return res;
+        }
+        for (let n = this.node; n !== null; n = n.parent) {
+            // the player to move after n, which at the root is whoever moved first
+            let toMove = n.toMove();
+            if (toMove === undefined) {
+                toMove = this.turn;
+            }
+            if (n.hash === res.hash && (this.rules.superko === "positional" || toMove === enemy)) {
+                let ko = n === this.node.parent && res.move.captured.length === 1;
+                return {reason: (ko) ? Illegal.KO : Illegal.SUPERKO};
+            }
+        }
+        return res;
+    }
+    /**
+     * Determine whether a stone may be added to the position as setup, as in
+     * edit mode. A setup stone captures nothing, so it may not be placed
+     * where it or a neighboring group would be left without liberties.
+     * @param {Point} p The play position at which to add the stone.
+     * @param {Player} player The color of the stone.
+     * @returns {Illegal} The reason the stone may not be added, or null if it may.
+     */
+    checkSetup(p, player) {
+        if (this.board.get(p) !== null) {
+            return Illegal.OCCUPIED;
+        }
+        let groups = this.board.neighbors(p).map(np => this.board.groupAt(this.board.index(np)));
+        // the stone needs a liberty of its own, or one of a group it joins
+        if (!groups.some(g => g === null || (g.player === player && g.libs.size > 1))) {
+            return Illegal.SUICIDE;
+        } else if (groups.some(g => g !== null && g.player !== player && g.libs.size === 1)) {
+            return Illegal.CAPTURE;
+        }
+        return null;
+    }
+    /**
+     * List every play position at which the current player may legally play.
+     * @returns {Point[]} The legal moves, not counting a pass.
+     */
+    legalMoves() {
+        let res = [];
+        this.board.state.forEach((player, i) => {
+            let p = this.board.point(i);
+            if (player === null && this.check(p).reason === undefined) {
+                res.push(p);
+            }
+        });
+        return res;
+    }
+    /**
+     * Number the stones on the board by the moves which placed them, counting
+     * from the first move of the game. Setup stones have no number.
+     * @returns {Map<number, number>} The move number of each numbered stone,
+     *     by the index of its play position.
+     */
+    moveNumbers() {
+        let path = [];
+        for (let n = this.node; n !== this.root; n = n.parent) {
+            if (n.move !== null) {
+                path.unshift(n.move);
+            }
+        }
+        let res = new Map();
+        path.forEach((mv, i) => {
+            if (mv.p !== null) {
+                res.set(this.board.index(mv.p), i + 1);
+            }
+        });
+        res.forEach((n, i) => {
+            if (this.board.state[i] !== path[n - 1].player) {
+                res.delete(i);
+            }
+        });
+        return res;
+    }
+    /**
+     * Have the current player play at a play position, if it is legal.
+     * @param {Point} p The play position at which to play.
+     * @returns {Illegal} The reason the move is illegal, or null if it was played.
+     */
+    move(p) {
+        let res = this.check(p);
+        if (res.reason !== undefined) {
+            return res.reason;
+        }
+        this.play(res.move);
+        return null;
+    }
+    /**
+     * Play a move from the current position. If the move already exists as a
+     * variation it becomes the active one; otherwise a new variation is added.
+     * @param {Object} mv The {player, p, captured, suicided} move to play.
+     */
+    play(mv) {
+        let i = this.node.children.findIndex(c => c.move !== null &&
+            c.move.player === mv.player &&
+            ((mv.p === null) ? c.move.p === null : mv.p.equals(c.move.p))
+        );
+        if (i < 0) {
+            this.node.children.push(new MoveNode(this.node, mv));
+            i = this.node.children.length - 1;
+        }
+        this.node.active = i;
+        this.advance();
+        this.emit("play", this.node.move);
+    }
+    /**
+     * Step forward along the active line of play without notifying listeners.
+     * @returns {boolean} Whether there was a move to step forward to.
+     */
+    advance() {
+        let next = this.node.next();
+        if (next === undefined) {
+            return false;
+        }
+        if (next.setup !== null) {
+            this.board.applySetup(next.setup.stones);
+            this.captured[Player.B] += next.setup.prisoners[Player.B];
+            this.captured[Player.W] += next.setup.prisoners[Player.W];
+            this.turn = next.setup.turn[1];
+        } else {
+            let mv = next.move;
+            this.board.apply(mv);
+            this.captured[mv.player] += mv.captured.length;
+            this.captured[(mv.player === Player.B) ? Player.W : Player.B] += mv.suicided.length;
+            this.turn = mv.player;
+            this.nextTurn();
+        }
+        if (next.hash === undefined) {
+            next.hash = this.board.hash;
+        }
+        this.node = next;
+        return true;
+    }
+    /**
+     * Step back to the position before the current move without notifying listeners.
+     * @returns {boolean} Whether there was a move to step back from.
+     */
+    retreat() {
+        if (this.node === this.root) {
+            return false;
+        }
+        let setup = this.node.setup;
+        let mv = this.node.move;
+        if (setup !== null) {
+            this.board.revertSetup(setup.stones);
+            this.captured[Player.B] -= setup.prisoners[Player.B];
+            this.captured[Player.W] -= setup.prisoners[Player.W];
+            this.turn = setup.turn[0];
+        } else {
+            this.board.revert(mv);
+            this.captured[mv.player] -= mv.captured.length;
+            this.captured[(mv.player === Player.B) ? Player.W : Player.B] -= mv.suicided.length;
+            this.turn = mv.player;
+        }
+        this.node = this.node.parent;
+        return true;
+    }
+    /**
+     * Redo the previous move, if available. Listeners are passed a null move
+     * when it is a setup node that is redone.
+     */
+    redo() {
+        if (this.advance()) {
+            this.emit("redo", this.node.move);
+        }
+    }
+    /**
+     * Undo the previous move, if available. Listeners are passed a null move
+     * when it is a setup node that is undone.
+     */
+    undo() {
+        let mv = this.node.move;
+        if (this.retreat()) {
+            this.emit("undo", mv);
+        }
+    }
+    /**
+     * Count the moves played to reach the current position, setup nodes
+     * included.
+     * @returns {number} The number of the current move, 0 at the start of the game.
+     */
+    moveNumber() {
+        let n = 0;
+        for (let node = this.node; node !== this.root; node = node.parent) {
+            n++;
+        }
+        return n;
+    }
+    /**
+     * Count the moves in the active line of play, from the start of the game
+     * to the end of the line.
+     * @returns {number} The number of the last move in the line.
+     */
+    lineLength() {
+        let n = this.moveNumber();
+        for (let node = this.node.next(); node !== undefined; node = node.next()) {
+            n++;
+        }
+        return n;
+    }
+    /**
+     * Jump to a move in the active line of play. The position is stepped
+     * there move by move from where it is, and listeners are notified once
+     * it arrives, rather than for every move on the way.
+     * @param {number} n The number of the move to jump to, 0 for the start
+     *     of the game. Numbers past the end of the line jump to its end.
+     */
+    goTo(n) {
+        let at = this.moveNumber();
+        while (at > n && this.retreat()) {
+            at--;
+        }
+        while (at < n && this.advance()) {
+            at++;
+        }
+        this.emit("jump");
+    }
+    /**
+     * Pass the current player's turn. After two passes in a row the game
+     * ends and moves on to marking dead stones and counting.
+     */
+    pass() {
+        this.play({player: this.turn, p: null, captured: [], suicided: []});
+        let prev = this.node.parent.move;
+        if (prev !== null && prev.p === null) {
+            this.mode = Mode.SCORE;
+            this.dead = new Set();
+            this.emit("score");
+        }
+    }
+    /**
+     * Stop counting and go back to playing from the current position.
+     */
+    resume() {
+        this.mode = Mode.PLAY;
+        this.dead = new Set();
+        this.emit("score");
+    }
+    /**
+     * While counting, toggle whether the group at a play position is dead.
+     * @param {Point} p A play position in the group to toggle.
+     */
+    toggleDead(p) {
+        let player = this.board.get(p);
+        if (player === null || player === undefined) {
+            return;
+        }
+        let idx = this.board.group(p).map(q => this.board.index(q));
+        let alive = idx.some(i => !this.dead.has(i));
+        idx.forEach(i => alive ? this.dead.add(i) : this.dead.delete(i));
+        this.emit("score");
+    }
+    /**
+     * Count the game according to the rules. Under territory counting each
+     * player scores their territory plus prisoners, with dead stones taken as
+     * prisoners; under area counting each player scores their territory plus
+     * their living stones.
+     * @returns {Object} The territory and the points of each player.
+     */
+    score() {
+        let res = this.board.territory(this.dead);
+        let deadStones = {};
+        deadStones[Player.B] = 0;
+        deadStones[Player.W] = 0;
+        this.dead.forEach(i => deadStones[this.board.state[i]]++);
+        res.points = this.points(res.territory, res.alive, deadStones);
+        return res;
+    }
+    /**
+     * Estimate the score as the game stands, without marking dead stones:
+     * the empty points a player holds firmly are their territory, and the
+     * points they merely influence are counted for them as well, so that
+     * the estimate means something before the borders are settled. Every
+     * stone is taken to be alive.
+     * @returns {Object} The territory, influence and points of each player.
+     */
+    estimate() {
+        let held = this.board.influence(5, 21);
+        let near = this.board.influence(5, 10);
+        let res = {territory: {}, influence: {}, alive: {}};
+        [Player.B, Player.W].forEach(player => {
+            res.territory[player] = [];
+            res.influence[player] = [];
+            res.alive[player] = 0;
+        });
+        let owner = v => (v > 0) ? Player.B : (v < 0) ? Player.W : null;
+        this.board.state.forEach((player, i) => {
+            if (player !== null) {
+                res.alive[player]++;
+            } else if (owner(held[i]) !== null) {
+                res.territory[owner(held[i])].push(this.board.point(i));
+            } else if (owner(near[i]) !== null) {
+                res.influence[owner(near[i])].push(this.board.point(i));
+            }
+        });
+        let counted = {};
+        let none = {};
+        [Player.B, Player.W].forEach(player => {
+            counted[player] = res.territory[player].concat(res.influence[player]);
+            none[player] = 0;
+        });
+        res.points = this.points(counted, res.alive, none);
+        return res;
+    }
+    /**
+     * Total each player's points according to the rules, with the komi.
+     * @param {Object} territory The territory of each player.
+     * @param {Object} alive The number of living stones of each player.
+     * @param {Object} deadStones The number of dead stones of each player.
+     * @returns {Object} The points of each player.
+     */
+    points(territory, alive, deadStones) {
+        let points = {};
+        [Player.B, Player.W].forEach(player => {
+            let enemy = (player === Player.B) ? Player.W : Player.B;
+            points[player] = territory[player].length;
+            if (this.rules.counting === "territory") {
+                points[player] += this.captured[player] + deadStones[enemy];
+            } else {
+                points[player] += alive[player];
+            }
+        });
+        points[Player.W] += this.komi;
+        if (this.handicap > 0 && this.rules.counting === "area") {
+            points[Player.W] += this.rules.handicapPts(this.handicap);
+        }
+        return points;
+    }
+    /**
+     * Describe the result of the game as counted, in SGF style (e.g. "B+3.5").
+     * @returns {string} The result.
+     */
+    result() {
+        let pts = this.score().points;
+        let diff = pts[Player.B] - pts[Player.W];
+        return (diff === 0) ? "0" : (diff > 0) ? "B+" + diff : "W+" + -diff;
+    }
+    /**
+     * Switch to a sibling of the current variation.
+     * @param {number} delta How many siblings forward (or backward, if negative) to move.
+     */
+    switchVariation(delta) {
+        if (this.node === this.root) {
+            return;
+        }
+        let parent = this.node.parent;
+        let n = parent.children.length;
+        let i = ((parent.children.indexOf(this.node) + delta) % n + n) % n;
+        this.undo();
+        parent.active = i;
+        this.redo();
+    }
+    /**
+     * Delete the current variation, along with every move which follows it,
+     * and return to the position before it.
+     */
+    deleteVariation() {
+        if (this.node === this.root) {
+            return;
+        }
+        let parent = this.node.parent;
+        let i = parent.children.indexOf(this.node);
+        this.undo();
+        parent.children.splice(i, 1);
+        parent.active = Math.max(0, Math.min(i, parent.children.length - 1));
+        this.emit("variation");
+    }
+    /**
+     * Clear the move history, making the current position the setup from
+     * which the game begins.
+     */
+    clearHist() {
+        let node = this.node;
+        this.resetHist();
+        // the marks and comment belong to the position, which is kept
+        this.root.markup = node.markup;
+        this.root.comment = node.comment;
+        this.emit("setup");
+    }
+    /**
+     * Change the position by hand, as in edit mode. The change is kept as a
+     * setup node following the current position, so that it is undone and
+     * redone like a move, and any moves which followed become a variation.
+     * @param {Object} change Any of the following:
+     * @param {Object[]} [change.stones] The {p, player} stones to set, with a
+     *     null player to remove the stone at p.
+     * @param {Player} [change.turn] The player to move next.
+     * @param {number[]} [change.prisoners] The prisoners to add to each
+     *     player's tally (or take away, if negative), by player.
+     */
+    edit(change) {
+        let stones = [];
+        (change.stones || []).forEach(s => {
+            let from = this.board.get(s.p);
+            if (from !== s.player) {
+                stones.push({p: s.p, from: from, to: s.player});
+            }
+        });
+        let turn = [this.turn, (change.turn === undefined) ? this.turn : change.turn];
+        let prisoners = change.prisoners || [0, 0];
+        if (stones.length === 0 && turn[0] === turn[1] && prisoners.every(n => n === 0)) {
+            return;
+        }
+        let node = new MoveNode(this.node, null, {stones: stones, turn: turn, prisoners: prisoners});
+        this.node.children.push(node);
+        this.node.active = this.node.children.length - 1;
+        this.advance();
+        this.emit("edit");
+    }
+    /**
+     * Transform the whole game: rotate or mirror the board, or swap the
+     * colors of the stones. Every move and setup node in the tree is
+     * transformed along with the position, as are the marks, the prisoners
+     * and whose turn it is, so the game can still be undone and replayed.
+     * @param {Object} t The transformation, from Transform.
+     */
+    transform(t) {
+        let size = this.board.size;
+        let pt = p => (p === null) ? null : t.point(p, size);
+        let color = player => (!t.swap || player === null) ? player : (player === Player.B) ? Player.W : Player.B;
+        let index = i => this.board.index(t.point(this.board.point(i), size));
+        let dead = new Set(Array.from(this.dead).map(index));
+        // the moves are replayed once transformed, which sets the position
+        // and the prisoners along the way
+        let depth = 0;
+        for (; this.retreat(); depth++) {}
+        let setup = this.setup;
+        this.board.clear();
+        setup.forEach((player, i) => {
+            if (player !== null) {
+                this.board.set(this.board.point(index(i)), color(player));
+            }
+        });
+        this.setup = this.board.state.slice();
+        this.root.hash = this.board.hash;
+        if (t.swap) {
+            let black = this.captured[Player.B];
+            this.captured[Player.B] = this.captured[Player.W];
+            this.captured[Player.W] = black;
+        }
+        this.turn = color(this.turn);
+        let stack = [this.root];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (node.move !== null) {
+                let mv = node.move;
+                node.move = {
+                    player: color(mv.player), p: pt(mv.p),
+                    captured: mv.captured.map(pt), suicided: mv.suicided.map(pt),
+                };
+            } else if (node.setup !== null) {
+                let su = node.setup;
+                node.setup = {
+                    stones: su.stones.map(st => ({p: pt(st.p), from: color(st.from), to: color(st.to)})),
+                    turn: su.turn.map(color),
+                    prisoners: (t.swap) ? [su.prisoners[Player.W], su.prisoners[Player.B]] : su.prisoners,
+                };
+            }
+            let markup = new Map();
+            node.markup.forEach((m, i) => markup.set(index(i), m));
+            node.markup = markup;
+            if (node !== this.root) {
+                node.hash = undefined;
+            }
+            stack.push(...node.children);
+        }
+        for (let n = 0; n < depth; n++) {
+            this.advance();
+        }
+        this.dead = dead;
+        this.emit("transform", t);
+    }
+    /**
+     * Find the last position set up by hand on the way to the current one:
+     * the last setup node, or the root if there is none. Moves played since
+     * can be replayed from there, which is not so for the moves before.
+     * @returns {Object} The {node, state, turn} setup node, with the board
+     *     state and the player to move there.
+     */
+    lastSetup() {
+        let board = this.board.copy();
+        let turn = this.turn;
+        let node = this.node;
+        for (; node !== this.root && node.setup === null; node = node.parent) {
+            board.revert(node.move);
+            turn = node.move.player;
+        }
+        return {node: node, state: board.state, turn: turn};
+    }
+    /**
+     * Toggle a mark on a play position in the current position. A mark of
+     * the same type is removed; any other is replaced.
+     * @param {Point} p The play position to mark.
+     * @param {Markup} type The type of mark.
+     * @param {string} [text] The text of a label.
+     */
+    mark(p, type, text) {
+        let i = this.board.index(p);
+        let old = this.node.markup.get(i);
+        if (old !== undefined && old.type === type) {
+            this.node.markup.delete(i);
+        } else {
+            this.node.markup.set(i, (type === Markup.LABEL) ? {type: type, text: text} : {type: type});
+        }
+        this.emit("markup");
+    }
+    /**
+     * Find the first label not yet used in the current position.
+     * @param {boolean} numeric Whether to label with numbers (1, 2, ...)
+     *     rather than letters (A, B, ..., Z, AA, AB, ...).
+     * @returns {string} The label.
+     */
+    nextLabel(numeric) {
+        let used = new Set();
+        this.node.markup.forEach(m => used.add(m.text));
+        let letters = n => (n === 0) ? "" : letters(Math.floor((n - 1) / 26)) + String.fromCharCode(65 + (n - 1) % 26);
+        for (let n = 1; ; n++) {
+            let text = (numeric) ? String(n) : letters(n);
+            if (!used.has(text)) {
+                return text;
+            }
+        }
+    }
+    /**
+     * Set the comment on the current move or position.
+     * @param {string} text The comment, or "" for none.
+     */
+    setComment(text) {
+        this.node.comment = text;
+        this.emit("markup");
+    }
+    /**
+     * Clear the move history without notifying listeners.
+     */
+    resetHist() {
+        this.root = new MoveNode(null, null);
+        this.node = this.root;
+        this.setup = this.board.state.slice();
+        this.root.hash = this.board.hash;
+    }
+    /**
+     * Export the game as an SGF (FF[4]) record. The setup position from which
+     * the history begins is written to the root node and every variation,
+     * including those which have been undone, follows it.
+     * @returns {string} The SGF record.
+     */
+    toSgf() {
+        let size = this.board.size;
+        let sgf = "(;FF[4]GM[1]CA[UTF-8]AP[goban.js]SZ[" + size + "]";
+        let setup = {};
+        setup[Player.B] = "";
+        setup[Player.W] = "";
+        this.setup.forEach((player, i) => {
+            if (player !== null) {
+                let p = new Point(i % size + 1, Math.floor(i / size) + 1);
+                setup[player] += "[" + sgfCoord(p) + "]";
+            }
+        });
+        if (setup[Player.B]) {
+            sgf += "AB" + setup[Player.B];
+        }
+        if (setup[Player.W]) {
+            sgf += "AW" + setup[Player.W];
+        }
+        let path = [];
+        for (let n = this.node; n !== this.root; n = n.parent) {
+            path.unshift(n);
+        }
+        let first = (this.root.children.length > 0) ? this.root.toMove() : this.turn;
+        sgf += "PL[" + ((first === Player.B) ? "B" : "W") + "]RU[" + this.rules.name + "]KM[" + this.komi + "]";
+        if (this.handicap > 0) {
+            sgf += "HA[" + this.handicap + "]";
+        }
+        if (this.mode === Mode.SCORE) {
+            sgf += "RE[" + this.result() + "]";
+        }
+        // FF[4] has no property for prisoners, so tallies which were adjusted
+        // by hand are kept in the private properties XB and XW
+        let prior = Object.assign({}, this.captured);
+        path.forEach(n => {
+            let mv = n.move;
+            if (n.setup !== null) {
+                prior[Player.B] -= n.setup.prisoners[Player.B];
+                prior[Player.W] -= n.setup.prisoners[Player.W];
+            } else {
+                prior[mv.player] -= mv.captured.length;
+                prior[(mv.player === Player.B) ? Player.W : Player.B] -= mv.suicided.length;
+            }
+        });
+        if (prior[Player.B] !== 0) {
+            sgf += "XB[" + prior[Player.B] + "]";
+        }
+        if (prior[Player.W] !== 0) {
+            sgf += "XW[" + prior[Player.W] + "]";
+        }
+        let text = s => s.replace(/[\]\\]/g, "\\$&");
+        let markupSgf = node => {
+            let res = "";
+            let vals = {};
+            node.markup.forEach((m, i) => {
+                vals[m.type] = (vals[m.type] || "") + "[" + sgfCoord(this.board.point(i)) +
+                    ((m.type === Markup.LABEL) ? ":" + text(m.text) : "") + "]";
+            });
+            Object.keys(vals).forEach(id => {
+                res += id + vals[id];
+            });
+            if (node.comment !== "") {
+                res += "C[" + text(node.comment) + "]";
+            }
+            return res;
+        };
+        // setup nodes keep the prisoners they add in XB and XW too
+        let setupSgf = setup => {
+            let res = "";
+            [["AB", Player.B], ["AW", Player.W], ["AE", null]].forEach(([id, player]) => {
+                let vals = setup.stones.filter(st => st.to === player).map(st => "[" + sgfCoord(st.p) + "]");
+                if (vals.length > 0) {
+                    res += id + vals.join("");
+                }
+            });
+            if (setup.turn[0] !== setup.turn[1]) {
+                res += "PL[" + ((setup.turn[1] === Player.B) ? "B" : "W") + "]";
+            }
+            ["XB", "XW"].forEach((id, player) => {
+                if (setup.prisoners[player] !== 0) {
+                    res += id + "[" + setup.prisoners[player] + "]";
+                }
+            });
+            return res;
+        };
+        let nodeSgf = node => ";" + ((node.setup !== null) ? setupSgf(node.setup) :
+            ((node.move.player === Player.B) ? "B" : "W") +
+            "[" + ((node.move.p === null) ? "" : sgfCoord(node.move.p)) + "]") + markupSgf(node);
+        let seq = node => {
+            let res = "";
+            while (node.children.length === 1) {
+                node = node.children[0];
+                res += nodeSgf(node);
+            }
+            node.children.forEach(c => {
+                res += "(" + nodeSgf(c) + seq(c) + ")";
+            });
+            return res;
+        };
+        return sgf + markupSgf(this.root) + seq(this.root) + ")\n";
+    }
+    /**
+     * Encode the game in the fragment of a link, from which it can be
+     * rebuilt by loadLink(): the board size, setup stones, komi, the active
+     * line of play and the move reached along it. Variations, marks and
+     * comments are left out, to keep links short. Nor is there room for the
+     * changes made in edit mode, so the link starts from the position as it
+     * was last set up and ends before it is next changed.
+     * @returns {string} The fragment, without its "#".
+     */
+    toLink() {
+        let size = this.board.size;
+        let base = this.lastSetup();
+        let setup = {};
+        setup[Player.B] = "";
+        setup[Player.W] = "";
+        base.state.forEach((player, i) => {
+            if (player !== null) {
+                setup[player] += sgfCoord(this.board.point(i));
+            }
+        });
+        let after = base.node.next();
+        let first = (after !== undefined && after.setup === null) ? after.move.player : base.turn;
+        let link = "sz=" + size;
+        if (setup[Player.B]) {
+            link += "&ab=" + setup[Player.B];
+        }
+        if (setup[Player.W]) {
+            link += "&aw=" + setup[Player.W];
+        }
+        link += "&pl=" + ((first === Player.B) ? "b" : "w");
+        if (this.komi !== 0) {
+            link += "&km=" + this.komi;
+        }
+        if (this.rules !== Rules.JAPANESE) {
+            link += "&ru=" + this.rules.name.toLowerCase();
+        }
+        let moves = "";
+        let player = first;
+        for (let node = after; node !== undefined && node.setup === null; node = node.next()) {
+            let mv = node.move;
+            moves += ((mv.player === player) ? "" : "!") + ((mv.p === null) ? ".." : sgfCoord(mv.p));
+            player = (mv.player === Player.B) ? Player.W : Player.B;
+        }
+        let at = 0;
+        for (let node = this.node; node !== base.node; node = node.parent) {
+            at++;
+        }
+        if (moves) {
+            link += "&mv=" + moves + "&at=" + at;
+        }
+        return link;
+    }
+    /**
+     * Load a game from the fragment of a link made by toLink(), discarding
+     * the current one.
+     * @param {string} text The fragment, without its "#".
+     * @throws {SgfError} If the fragment is malformed or the game cannot be played.
+     */
+    loadLink(text) {
+        let link = parseLink(text);
+        this.readTree(link.tree);
+        while (this.retreat()) {}
+        for (let n = 0; n < link.at && this.advance(); n++) {}
+        this.emit("load");
+    }
+    /**
+     * Draw the current position, or a region of it, as a diagram in the ASCII
+     * format of Sensei's Library: X and O for stones, with the marks on the
+     * current move and the last move circled.
+     * @param {Point} [from] One corner of the region to draw; the whole board if omitted.
+     * @param {Point} [to] The opposite corner.
+     * @param {boolean} [coords=false] Whether the diagram asks for coordinates.
+     * @returns {string} The diagram.
+     */
+    toAscii(from, to, coords = false) {
+        let size = this.board.size;
+        let {x1, y1, x2, y2} = regionBounds(size, from, to);
+        // the symbols for a mark on a black stone, a white stone and an empty point
+        let symbols = {};
+        symbols[Markup.CIRCLE] = ["B", "W", "C"];
+        symbols[Markup.SQUARE] = ["#", "@", "S"];
+        symbols[Markup.TRIANGLE] = ["Y", "Q", "T"];
+        symbols[Markup.CROSS] = ["Z", "P", "M"];
+        let marks = this.diagramMarks();
+        let hoshi = this.board.hoshi();
+        let left = (x1 === 1) ? "| " : "";
+        let right = (x2 === size) ? " |" : "";
+        let edge = "$$ " + ((x1 === 1) ? "+-" : "") + "-".repeat(2 * (x2 - x1) + 1) + ((x2 === size) ? "-+" : "");
+        let lines = ["$$" + ((this.turn === Player.B) ? "B" : "W") + ((coords) ? "c" + size : "")];
+        if (y1 === 1) {
+            lines.push(edge);
+        }
+        for (let y = y1; y <= y2; y++) {
+            let row = [];
+            for (let x = x1; x <= x2; x++) {
+                let p = new Point(x, y);
+                let player = this.board.get(p);
+                let mark = marks.get(this.board.index(p));
+                let c = (player === Player.B) ? "X" : (player === Player.W) ? "O" :
+                    hoshi.some(h => h.equals(p)) ? "," : ".";
+                if (mark === undefined) {
+                    row.push(c);
+                } else if (mark.type !== Markup.LABEL) {
+                    row.push(symbols[mark.type][(player === null) ? 2 : player]);
+                } else {
+                    // only single letters on empty points may be labelled
+                    row.push((player === null && /^[A-Za-z]$/.test(mark.text)) ? mark.text.toLowerCase() : c);
+                }
+            }
+            lines.push("$$ " + left + row.join(" ") + right);
+        }
+        if (y2 === size) {
+            lines.push(edge);
+        }
+        return lines.join("\n") + "\n";
+    }
+    /**
+     * Draw the current position, or a region of it, as a standalone SVG
+     * image: the grid, stones, the marks on the current move, the last move
+     * and, if asked for, coordinates.
+     * @param {Point} [from] One corner of the region to draw; the whole board if omitted.
+     * @param {Point} [to] The opposite corner.
+     * @param {boolean} [coords=false] Whether to label the rows and columns.
+     * @returns {string} The SVG document.
+     */
+    toSvg(from, to, coords = false) {
+        let size = this.board.size;
+        let {x1, y1, x2, y2} = regionBounds(size, from, to);
+        let unit = 24;
+        let margin = (coords) ? unit + 4 : unit / 2 + 2;
+        let fg = "#724506";
+        let px = x => margin + (x - x1) * unit;
+        let py = y => margin + (y - y1) * unit;
+        let width = 2 * margin + (x2 - x1) * unit;
+        let height = 2 * margin + (y2 - y1) * unit;
+        let esc = t => t.replace(/[&<>"]/g, c => "&#" + c.charCodeAt(0) + ";");
+        let svg = [
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height +
+                '" viewBox="0 0 ' + width + " " + height + '" font-family="sans-serif" text-anchor="middle">',
+            '<rect width="' + width + '" height="' + height + '" fill="#fad6a5"/>',
+        ];
+        // the grid runs on past the region where the board does
+        let over = unit / 3;
+        for (let y = y1; y <= y2; y++) {
+            svg.push('<line x1="' + (px(x1) - ((x1 > 1) ? over : 0)) + '" y1="' + py(y) + '" x2="' +
+                (px(x2) + ((x2 < size) ? over : 0)) + '" y2="' + py(y) + '" stroke="' + fg + '"/>');
+        }
+        for (let x = x1; x <= x2; x++) {
+            svg.push('<line x1="' + px(x) + '" y1="' + (py(y1) - ((y1 > 1) ? over : 0)) + '" x2="' + px(x) +
+                '" y2="' + (py(y2) + ((y2 < size) ? over : 0)) + '" stroke="' + fg + '"/>');
+        }
+        let inside = p => p.x >= x1 && p.x <= x2 && p.y >= y1 && p.y <= y2;
+        this.board.hoshi().filter(inside).forEach(p => {
+            svg.push('<circle cx="' + px(p.x) + '" cy="' + py(p.y) + '" r="' + unit / 10 + '" fill="' + fg + '"/>');
+        });
+        if (coords) {
+            let near = unit * 0.4;
+            let text = (x, y, t) => '<text x="' + x + '" y="' + y + '" dy="0.35em" font-size="' +
+                Math.round(unit / 3) + '" fill="' + fg + '">' + t + "</text>";
+            for (let x = x1; x <= x2; x++) {
+                let col = (size <= GtpLetters.length) ? GtpLetters[x - 1] : String(x);
+                svg.push(text(px(x), near, col), text(px(x), height - near, col));
+            }
+            for (let y = y1; y <= y2; y++) {
+                let row = String(size - y + 1);
+                svg.push(text(near, py(y), row), text(width - near, py(y), row));
+            }
+        }
+        this.board.state.forEach((player, i) => {
+            let p = this.board.point(i);
+            if (player !== null && inside(p)) {
+                svg.push('<circle cx="' + px(p.x) + '" cy="' + py(p.y) + '" r="' + (unit / 2 - 1) + '" fill="' +
+                    ((player === Player.B) ? "#000000" : '#ffffff" stroke="#000000') + '"/>');
+            }
+        });
+        this.diagramMarks().forEach((mark, i) => {
+            let p = this.board.point(i);
+            if (!inside(p)) {
+                return;
+            }
+            let cx = px(p.x);
+            let cy = py(p.y);
+            let r = unit / 4;
+            let color = (this.board.get(p) === Player.B) ? "#ffffff" : "#000000";
+            let shape = {};
+            shape[Markup.TRIANGLE] = '<polygon points="' + [cx, cy - 1.2 * r, cx + 1.04 * r, cy + 0.6 * r,
+                cx - 1.04 * r, cy + 0.6 * r].map(v => Math.round(v * 100) / 100).join(" ") + '"';
+            shape[Markup.SQUARE] = '<rect x="' + (cx - r) + '" y="' + (cy - r) + '" width="' + 2 * r + '" height="' + 2 * r + '"';
+            shape[Markup.CIRCLE] = '<circle cx="' + cx + '" cy="' + cy + '" r="' + r + '"';
+            shape[Markup.CROSS] = '<path d="M' + (cx - r) + " " + (cy - r) + "L" + (cx + r) + " " + (cy + r) +
+                "M" + (cx + r) + " " + (cy - r) + "L" + (cx - r) + " " + (cy + r) + '"';
+            if (mark.type !== Markup.LABEL) {
+                svg.push(shape[mark.type] + ' fill="none" stroke="' + color + '" stroke-width="2"/>');
+                return;
+            }
+            if (this.board.get(p) === null) {
+                svg.push('<circle cx="' + cx + '" cy="' + cy + '" r="' + unit / 3 + '" fill="#fad6a5"/>');
+            }
+            svg.push('<text x="' + cx + '" y="' + cy + '" dy="0.35em" font-weight="bold" font-size="' +
+                Math.round(unit * ((mark.text.length > 2) ? 0.35 : 0.45)) + '" fill="' + color + '">' +
+                esc(mark.text) + "</text>");
+        });
+        svg.push("</svg>");
+        return svg.join("\n") + "\n";
+    }
+    /**
+     * Gather the marks to show in a diagram: those on the current move, and a
+     * circle around the last move unless it is marked already.
+     * @returns {Map} The {type, text} marks by the index of their play positions.
+     */
+    diagramMarks() {
+        let marks = new Map(this.node.markup);
+        let mv = this.node.move;
+        if (mv !== null && mv.p !== null && this.board.get(mv.p) === mv.player &&
+            !marks.has(this.board.index(mv.p))) {
+            marks.set(this.board.index(mv.p), {type: Markup.CIRCLE});
+        }
+        return marks;
+    }
+    /**
+     * Load a game from SGF, discarding the current one.
+     * @param {string} text The contents of the SGF file.
+     * @throws {SgfError} If the file is malformed or the game cannot be played.
+     */
+    loadSgf(text) {
+        this.readSgf(text);
+        this.emit("load");
+    }
+    /**
+     * Load a game from SGF without notifying listeners. The main line is
+     * played out.
+     * @param {string} text The contents of the SGF file.
+     * @throws {SgfError} If the file is malformed or the game cannot be played.
+     */
+    readSgf(text) {
+        this.readTree(parseSgf(text)[0]);
+    }
+    /**
+     * Load a game from a game tree parsed from SGF, without notifying
+     * listeners. The main line is played out.
+     * @param {Object} tree The game tree, as returned by parseSgf().
+     * @throws {SgfError} If the game cannot be played.
+     */
+    readTree(tree) {
+        let root = tree.nodes[0];
+        if ("GM" in root && root.GM[0] !== "1") {
+            throw new SgfError("not a game of go (GM[" + root.GM[0] + "])");
+        }
+        if ("FF" in root && !/^[1-4]$/.test(root.FF[0])) {
+            throw new SgfError("unsupported file format FF[" + root.FF[0] + "]");
+        }
+        let size = 19;
+        if ("SZ" in root) {
+            if (!/^\d+$/.test(root.SZ[0])) {
+                throw new SgfError("unsupported board size SZ[" + root.SZ[0] + "]");
+            }
+            size = parseInt(root.SZ[0], 10);
+            if (size < MinSize || size > MaxSize) {
+                throw new SgfError("unsupported board size SZ[" + root.SZ[0] + "]");
+            }
+        }
+
+        let board = new Position(size);
+        sgfPoints(root.AB || [], size).forEach(p => board.set(p, Player.B));
+        sgfPoints(root.AW || [], size).forEach(p => board.set(p, Player.W));
+        sgfPoints(root.AE || [], size).forEach(p => board.set(p, null));
+        // the prisoners (XB and XW) and the player to move (PL) set up by a node
+        let prisoners = props => ["XB", "XW"].map(id => {
+            if (!(id in props)) {
+                return 0;
+            } else if (!/^-?\d+$/.test(props[id][0])) {
+                throw new SgfError("invalid prisoner count " + id + "[" + props[id][0] + "]");
+            }
+            return parseInt(props[id][0], 10);
+        });
+        let toPlay = (props, turn) => {
+            if (!("PL" in props)) {
+                return turn;
+            } else if (!/^[BW]$/.test(props.PL[0])) {
+                throw new SgfError("invalid player PL[" + props.PL[0] + "]");
+            }
+            return (props.PL[0] === "B") ? Player.B : Player.W;
+        };
+        let prior = prisoners(root);
+        let captured = {};
+        captured[Player.B] = prior[Player.B];
+        captured[Player.W] = prior[Player.W];
+        let turn = toPlay(root, Player.B);
+        let komi = 0;
+        if ("KM" in root) {
+            komi = Number(root.KM[0]);
+            if (root.KM[0].trim() === "" || !Number.isFinite(komi)) {
+                throw new SgfError("invalid komi KM[" + root.KM[0] + "]");
+            }
+        }
+        let rules = Rules.JAPANESE;
+        if ("RU" in root) {
+            let ru = root.RU[0].trim().toLowerCase();
+            if (ru === "chinese" || ru === "cn") {
+                rules = Rules.CHINESE;
+            } else if (ru === "aga") {
+                rules = Rules.AGA;
+            } else if (ru === "nz" || ru === "new zealand") {
+                rules = Rules.NZ;
+            }
+        }
+        let handicap = 0;
+        if ("HA" in root) {
+            if (!/^\d+$/.test(root.HA[0])) {
+                throw new SgfError("invalid handicap HA[" + root.HA[0] + "]");
+            }
+            handicap = parseInt(root.HA[0], 10);
+        }
+        let setup = board.state.slice();
+
+        // read the marks and comment of an SGF node into a node of the tree
+        let annotate = (props, node) => {
+            Object.keys(Markup).forEach(k => {
+                let id = Markup[k];
+                (props[id] || []).forEach(v => {
+                    if (id !== Markup.LABEL) {
+                        sgfPoints([v], size).forEach(p => node.markup.set(board.index(p), {type: id}));
+                        return;
+                    }
+                    let colon = v.indexOf(":");
+                    if (colon < 0) {
+                        throw new SgfError("invalid label LB[" + v + "]");
+                    }
+                    let p = sgfPoint(v.slice(0, colon), size);
+                    node.markup.set(board.index(p), {type: id, text: v.slice(colon + 1)});
+                });
+            });
+            if ("C" in props) {
+                node.comment = (node.comment === "") ? props.C[0] : node.comment + "\n\n" + props.C[0];
+            }
+        };
+        // read a variation into the tree below parent, where it is turn's
+        // turn, leaving the board as it was found
+        let read = (t, parent, depth, turn) => {
+            let node = parent;
+            let played = [];
+            t.nodes.forEach(props => {
+                let stones = "AB" in props || "AW" in props || "AE" in props;
+                if ("B" in props && "W" in props) {
+                    throw new SgfError("a node contains moves for both players");
+                }
+                if (props !== root && (stones || "PL" in props || "XB" in props || "XW" in props)) {
+                    let setup = {stones: [], turn: [turn, toPlay(props, turn)], prisoners: prisoners(props)};
+                    [["AB", Player.B], ["AW", Player.W], ["AE", null]].forEach(([id, to]) => {
+                        sgfPoints(props[id] || [], size).forEach(p => {
+                            let from = board.get(p);
+                            if (from !== to) {
+                                setup.stones.push({p: p, from: from, to: to});
+                                board.set(p, to);
+                            }
+                        });
+                    });
+                    // a node which changes nothing is only annotated
+                    if (setup.stones.length > 0 || setup.turn[0] !== setup.turn[1] ||
+                        setup.prisoners.some(n => n !== 0)) {
+                        node.children.push(new MoveNode(node, null, setup));
+                        node = node.children[node.children.length - 1];
+                        node.hash = board.hash;
+                        played.unshift(node);
+                        turn = setup.turn[1];
+                    }
+                    // FF[4] discourages a move in the same node as setup
+                    // properties but does not forbid it, so the move follows
+                    if (!("B" in props || "W" in props)) {
+                        annotate(props, node);
+                        return;
+                    }
+                }
+                if (!("B" in props || "W" in props)) {
+                    annotate(props, node);
+                    return;
+                }
+                let player = ("B" in props) ? Player.B : Player.W;
+                let v = props[(player === Player.B) ? "B" : "W"][0];
+                let mvName = "move " + (depth + 1) + " (" + ((player === Player.B) ? "B" : "W") + "[" + v + "])";
+                let mv = {player: player, p: null, captured: [], suicided: []};
+                if (v !== "" && !(v === "tt" && size <= 19)) {
+                    let res = board.evaluate(sgfPoint(v, size), player, rules.suicide);
+                    if (res.reason === Illegal.OCCUPIED) {
+                        throw new SgfError(mvName + ": the point is already occupied");
+                    } else if (res.reason === Illegal.SUICIDE) {
+                        throw new SgfError(mvName + ": suicide is not allowed under " + rules.name + " rules");
+                    }
+                    mv = res.move;
+                }
+                board.apply(mv);
+                node.children.push(new MoveNode(node, mv));
+                node = node.children[node.children.length - 1];
+                node.hash = board.hash;
+                annotate(props, node);
+                played.unshift(node);
+                turn = (player === Player.B) ? Player.W : Player.B;
+                depth++;
+            });
+            t.children.forEach(c => read(c, node, depth, turn));
+            played.forEach(n => (n.setup !== null) ? board.revertSetup(n.setup.stones) : board.revert(n.move));
+        };
+        let top = new MoveNode(null, null);
+        top.hash = board.hash;
+        read(tree, top, 0, turn);
+
+        // play out the main line
+        let node = top;
+        while (node.next() !== undefined) {
+            node = node.next();
+            let mv = node.move;
+            if (node.setup !== null) {
+                board.applySetup(node.setup.stones);
+                captured[Player.B] += node.setup.prisoners[Player.B];
+                captured[Player.W] += node.setup.prisoners[Player.W];
+                turn = node.setup.turn[1];
+                continue;
+            }
+            board.apply(mv);
+            captured[mv.player] += mv.captured.length;
+            captured[(mv.player === Player.B) ? Player.W : Player.B] += mv.suicided.length;
+            turn = (mv.player === Player.B) ? Player.W : Player.B;
+        }
+
+        this.board.clear(size);
+        board.state.forEach((player, i) => {
+            if (player !== null) {
+                this.board.set(board.point(i), player);
+            }
+        });
+        this.setup = setup;
+        this.root = top;
+        this.node = node;
+        this.turn = turn;
+        this.captured = captured;
+        this.rules = rules;
+        this.komi = komi;
+        this.handicap = handicap;
+        this.placing = 0;
+        this.dead = new Set();
+        if (this.mode === Mode.SCORE) {
+            this.mode = Mode.PLAY;
+        }
+    }
+    /**
+     * Capture everything needed to pick the game up again later, in a form
+     * which survives JSON: the game record, which line of play was reached,
+     * and what SGF cannot hold, such as the mode and the stones marked dead.
+     * @returns {Object} The snapshot.
+     */
+    snapshot() {
+        let path = [];
+        for (let n = this.node; n !== this.root; n = n.parent) {
+            path.unshift(n.parent.children.indexOf(n));
+        }
+        return {
+            sgf: this.toSgf(),
+            path: path,
+            turn: this.turn,
+            mode: this.mode,
+            placing: this.placing,
+            dead: Array.from(this.dead),
+        };
+    }
+    /**
+     * Pick up a game from a snapshot, discarding the current one.
+     * @param {Object} snap The snapshot, as made by snapshot().
+     * @throws {SgfError} If the snapshot is damaged, or its game record cannot
+     *     be loaded.
+     */
+    restore(snap) {
+        let indices = a => Array.isArray(a) && a.every(i => Number.isInteger(i) && i >= 0);
+        if (snap === null || typeof snap !== "object" || typeof snap.sgf !== "string" ||
+            !indices(snap.path) || !indices(snap.dead) || !Object.values(Player).includes(snap.turn) ||
+            !Object.values(Mode).includes(snap.mode) || !Number.isInteger(snap.placing) || snap.placing < 0) {
+            throw new SgfError("the snapshot is damaged");
+        }
+        this.readSgf(snap.sgf);
+        while (this.retreat()) {}
+        for (let i of snap.path) {
+            if (i >= this.node.children.length) {
+                break;
+            }
+            this.node.active = i;
+            this.advance();
+        }
+        this.turn = snap.turn;
+        this.mode = snap.mode;
+        this.placing = snap.placing;
+        // only stones can be dead
+        this.dead = new Set(snap.dead.filter(i => this.board.state[i] !== null && this.board.state[i] !== undefined));
+        this.emit("load");
+    }
+}
+
+/**
+ * Raised when a GTP engine reports an error, or replies with something that
+ * cannot be understood.
+ * @class
+ */
+class GtpError extends Error {
+    /**
+     * @param {string} msg A description of the problem.
+     * @param {string} [cmd] The command which caused it.
+     */
+    constructor(msg, cmd) {
+        super((cmd === undefined) ? msg : msg + " (in reply to \"" + cmd + "\")");
+        this.name = "GtpError";
+    }
+}
+
+/**
+ * The column letters of GTP vertices, which skip I; GTP boards are therefore
+ * at most 25x25.
+ * @constant
+ */
+const GtpLetters = "ABCDEFGHJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Convert a play position to a GTP vertex (e.g. "D4"), counting rows from
+ * the bottom of the board.
+ * @param {Point} p The play position to convert, or null for a pass.
+ * @param {number} size The size of the board on which the position lies.
+ * @returns {string} The GTP vertex.
+ */
+function gtpVertex(p, size) {
+    return (p === null) ? "pass" : GtpLetters[p.x - 1] + (size - p.y + 1);
+}
+
+/**
+ * Name a play position in the usual way for people, as GTP does (e.g. "D4").
+ * Boards too large to letter every column are named by column and row.
+ * @param {Point} p The play position to name.
+ * @param {number} size The size of the board on which the position lies.
+ * @returns {string} The name.
+ */
+function pointName(p, size) {
+    return (size <= GtpLetters.length) ?
+        gtpVertex(p, size) : "column " + p.x + " row " + (size - p.y + 1);
+}
+
+/**
+ * Convert a GTP vertex to a play position.
+ * @param {string} s The GTP vertex, in either case.
+ * @param {number} size The size of the board on which the position lies.
+ * @returns {Point} The corresponding play position, or null for a pass.
+ * @throws {GtpError} If the vertex is not on the board.
+ */
+function gtpPoint(s, size) {
+    let v = s.toUpperCase();
+    if (v === "PASS") {
+        return null;
+    }
+    let x = GtpLetters.indexOf(v[0]) + 1;
+    let row = /^[0-9]+$/.test(v.slice(1)) ? parseInt(v.slice(1), 10) : 0;
+    if (x < 1 || x > size || row < 1 || row > size) {
+        throw new GtpError("invalid vertex " + s + " for a " + size + "x" + size + " board");
+    }
+    return new Point(x, size - row + 1);
+}
+
+/**
+ * Talks to a go engine over the Go Text Protocol. The client does not care
+ * how the engine is reached: it writes commands with a function it is given,
+ * and is fed the engine's output through receive(). Commands are sent one at
+ * a time, each once the reply to the last has arrived.
+ *
+ * Attached to an Engine, the client keeps the GTP engine's board in step with
+ * the game, so that it may be asked for a move or a score at any time.
+ * @class
+ */
+class GtpClient {
+    /**
+     * @param {function(string)} send Writes text to the engine.
+     */
+    constructor(send) {
+        this.send = send;
+        this.size = 19;
+        this.queue = [];
+        this.current = null;
+        this.buffer = "";
+        this.engine = null;
+        this.follow = null;
+        // called with the GtpError when a command sent to follow the game fails
+        this.onerror = e => {};
+    }
+    /**
+     * Send a command to the engine.
+     * @param {string} cmd The command, without a trailing newline.
+     * @param {function(string)} [after] Called with the reply before any
+     *     further command is sent.
+     * @returns {Promise<string>} The engine's reply, or a GtpError if it fails.
+     */
+    command(cmd, after) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({cmd: cmd, after: after, resolve: resolve, reject: reject});
+            this.flush();
+        });
+    }
+    /**
+     * Send the next queued command, unless one is awaiting its reply.
+     */
+    flush() {
+        if (this.current === null && this.queue.length > 0) {
+            this.current = this.queue.shift();
+            this.send(this.current.cmd + "\n");
+        }
+    }
+    /**
+     * Feed output from the engine to the client. Output may arrive in pieces
+     * of any size; each complete reply settles the command awaiting it.
+     * @param {string} text The output.
+     */
+    receive(text) {
+        this.buffer += text.replace(/\r/g, "");
+        let end;
+        while ((end = this.buffer.indexOf("\n\n")) >= 0) {
+            let reply = this.buffer.slice(0, end).trim();
+            this.buffer = this.buffer.slice(end + 2);
+            let cur = this.current;
+            if (reply === "" || cur === null) {
+                continue;
+            }
+            this.current = null;
+            let body = reply.slice(1).trim();
+            if (reply[0] === "=") {
+                if (cur.after !== undefined) {
+                    cur.after(body);
+                }
+                cur.resolve(body);
+            } else {
+                cur.reject(new GtpError((reply[0] === "?") ? body : "unexpected reply " + reply, cur.cmd));
+            }
+            this.flush();
+        }
+    }
+    /**
+     * Set the size of the engine's board, which also clears it.
+     * @param {number} size The board size (in play positions per row/col).
+     * @returns {Promise<string>} The engine's reply.
+     */
+    boardsize(size) {
+        if (size > GtpLetters.length) {
+            return Promise.reject(new GtpError("GTP boards may be at most " + GtpLetters.length + "x" + GtpLetters.length));
+        }
+        this.size = size;
+        return this.command("boardsize " + size);
+    }
+    /**
+     * Clear the engine's board and history.
+     * @returns {Promise<string>} The engine's reply.
+     */
+    clearBoard() {
+        return this.command("clear_board");
+    }
+    /**
+     * Set the compensation given to White.
+     * @param {number} komi The komi.
+     * @returns {Promise<string>} The engine's reply.
+     */
+    komi(komi) {
+        return this.command("komi " + komi);
+    }
+    /**
+     * Play a move on the engine's board.
+     * @param {Player} player The player to move.
+     * @param {Point} p The play position at which to play, or null to pass.
+     * @returns {Promise<string>} The engine's reply.
+     */
+    play(player, p) {
+        return this.command("play " + ((player === Player.B) ? "b" : "w") + " " + gtpVertex(p, this.size));
+    }
+    /**
+     * Ask the engine for a move. While attached to a game, the engine takes
+     * the move back straight away, so that its board keeps following the
+     * game; the move is only played once the game plays it.
+     * @param {Player} player The player to move.
+     * @returns {Promise<Point|null|string>} The move, null to pass, or
+     *     "resign" if the engine resigns.
+     */
+    genmove(player) {
+        let size = this.size;
+        let after = (this.engine === null) ? undefined : reply => {
+            if (reply.toLowerCase() !== "resign") {
+                this.queue.unshift({cmd: "undo", resolve: () => {}, reject: e => this.onerror(e)});
+            }
+        };
+        return this.command("genmove " + ((player === Player.B) ? "b" : "w"), after).then(reply =>
+            (reply.toLowerCase() === "resign") ? "resign" : gtpPoint(reply, size)
+        );
+    }
+    /**
+     * Take back the last move on the engine's board.
+     * @returns {Promise<string>} The engine's reply.
+     */
+    undo() {
+        return this.command("undo");
+    }
+    /**
+     * Ask the engine to count the game from its board.
+     * @returns {Promise<string>} The result, in SGF style (e.g. "B+3.5").
+     */
+    finalScore() {
+        return this.command("final_score");
+    }
+    /**
+     * Set the engine's board up to match a game: the size, komi, setup stones
+     * and every move played to reach the current position. GTP has no way to
+     * place setup stones, so they are played as moves, and the game is
+     * replayed from the last position set up by hand.
+     * @param {Engine} engine The game to match.
+     * @returns {Promise} Settled once the engine has caught up.
+     */
+    sync(engine) {
+        let size = engine.board.size;
+        if (size > GtpLetters.length) {
+            return this.boardsize(size);
+        }
+        let cmds = [this.boardsize(size), this.clearBoard(), this.komi(engine.komi)];
+        let base = engine.lastSetup();
+        base.state.forEach((player, i) => {
+            if (player !== null) {
+                cmds.push(this.play(player, engine.board.point(i)));
+            }
+        });
+        let moves = [];
+        for (let n = engine.node; n !== base.node; n = n.parent) {
+            moves.unshift(n.move);
+        }
+        moves.forEach(mv => cmds.push(this.play(mv.player, mv.p)));
+        return Promise.all(cmds);
+    }
+    /**
+     * Keep the engine's board in step with a game from now on.
+     * @param {Engine} engine The game to follow.
+     * @returns {Promise} Settled once the engine has caught up.
+     */
+    attach(engine) {
+        this.detach();
+        this.engine = engine;
+        this.follow = (type, mv) => {
+            let res = null;
+            if (type === "new" || type === "load" || type === "setup" || type === "edit" ||
+                type === "jump" || type === "transform" || ((type === "undo" || type === "redo") && mv === null)) {
+                res = this.sync(engine);
+            } else if (engine.board.size !== this.size) {
+                // the engine could not be set up for this board, so cannot follow
+                return;
+            } else if (type === "play" || type === "redo") {
+                res = this.play(mv.player, mv.p);
+            } else if (type === "undo") {
+                res = this.undo();
+            }
+            if (res !== null) {
+                res.catch(e => this.onerror(e));
+            }
+        };
+        engine.addListener(this.follow);
+        return this.sync(engine);
+    }
+    /**
+     * Stop following the game the client is attached to, if any.
+     */
+    detach() {
+        if (this.engine !== null) {
+            this.engine.removeListener(this.follow);
+            this.engine = null;
+            this.follow = null;
+        }
+    }
+}
+
+/**
+ * Keeps games in a Web Storage area such as localStorage: one autosaved
+ * game, picked up again when the page is next opened, and any number of
+ * games saved under names of the player's choosing. Games are kept as
+ * snapshots, as made by Engine.snapshot(). The player's settings and the
+ * problems they have solved are kept alongside.
+ * @class
+ */
+class GameStore {
+    /**
+     * @param {Storage} storage The storage area in which to keep games.
+     * @param {string} [prefix="goban"] The prefix of the keys to use.
+     */
+    constructor(storage, prefix = "goban") {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+    /**
+     * Read a JSON value from storage.
+     * @param {string} key The key, less the prefix.
+     * @returns {*} The value, or null if missing or unreadable.
+     */
+    read(key) {
+        try {
+            return JSON.parse(this.storage.getItem(this.prefix + "." + key));
+        } catch (e) {
+            return null;
+        }
+    }
+    /**
+     * Write a JSON value to storage.
+     * @param {string} key The key, less the prefix.
+     * @param {*} val The value.
+     * @throws {DOMException} If the storage area is full.
+     */
+    write(key, val) {
+        this.storage.setItem(this.prefix + "." + key, JSON.stringify(val));
+    }
+    /**
+     * Replace the autosaved game.
+     * @param {Object} snap The snapshot of the game.
+     */
+    autosave(snap) {
+        this.write("autosave", snap);
+    }
+    /**
+     * Get the autosaved game.
+     * @returns {Object} The snapshot of the game, or null if there is none.
+     */
+    autoload() {
+        return this.read("autosave");
+    }
+    /**
+     * List the saved games, most recently saved first.
+     * @returns {Object[]} The {name, date} of each game, the date in ms since the epoch.
+     */
+    list() {
+        return (this.read("games") || [])
+            .map(g => ({name: g.name, date: g.date}))
+            .sort((a, b) => b.date - a.date);
+    }
+    /**
+     * Save a game under a name, replacing any game already saved under it.
+     * @param {string} name The name of the game.
+     * @param {Object} snap The snapshot of the game.
+     */
+    save(name, snap) {
+        let games = (this.read("games") || []).filter(g => g.name !== name);
+        games.push({name: name, date: Date.now(), snap: snap});
+        this.write("games", games);
+    }
+    /**
+     * Get a saved game.
+     * @param {string} name The name of the game.
+     * @returns {Object} The snapshot of the game, or null if there is none by that name.
+     */
+    load(name) {
+        let game = (this.read("games") || []).find(g => g.name === name);
+        return (game === undefined) ? null : game.snap;
+    }
+    /**
+     * Save a copy of a saved game under a new name, such as "Game (copy 2)".
+     * @param {string} name The name of the game to copy.
+     * @returns {string} The name of the copy, or null if there is no game to copy.
+     */
+    duplicate(name) {
+        let snap = this.load(name);
+        if (snap === null) {
+            return null;
+        }
+        let names = this.list().map(g => g.name);
+        let copy = name + " (copy)";
+        for (let n = 2; names.includes(copy); n++) {
+            copy = name + " (copy " + n + ")";
+        }
+        this.save(copy, snap);
+        return copy;
+    }
+    /**
+     * Delete a saved game.
+     * @param {string} name The name of the game.
+     */
+    remove(name) {
+        this.write("games", (this.read("games") || []).filter(g => g.name !== name));
+    }
+    /**
+     * Get which problems in a set have been solved.
+     * @param {string} set The name of the problem set.
+     * @returns {number[]} The indices of the solved problems.
+     */
+    solved(set) {
+        let rec = (this.read("solved") || []).find(s => s.set === set);
+        return (rec === undefined) ? [] : rec.solved;
+    }
+    /**
+     * Record which problems in a set have been solved.
+     * @param {string} set The name of the problem set.
+     * @param {number[]} solved The indices of the solved problems.
+     */
+    saveSolved(set, solved) {
+        let recs = (this.read("solved") || []).filter(s => s.set !== set);
+        recs.push({set: set, solved: solved});
+        this.write("solved", recs);
+    }
+    /**
+     * Get the player's settings, such as the theme chosen.
+     * @returns {Object} The settings, by name.
+     */
+    settings() {
+        let settings = this.read("settings");
+        return (settings !== null && typeof settings === "object") ? settings : {};
+    }
+    /**
+     * Change one of the player's settings, keeping the others.
+     * @param {string} name The name of the setting.
+     * @param {*} value Its new value, which must survive JSON.
+     */
+    saveSetting(name, value) {
+        let settings = this.settings();
+        settings[name] = value;
+        this.write("settings", settings);
+    }
+}
+
+/**
+ * Supported time systems. Each gives every player some main time; once it
+ * runs out, absolute time loses, Japanese byo-yomi gives a number of periods
+ * each of which is used up only by a move which overruns it, and Canadian
+ * overtime gives a block of time in which a number of stones must be played.
+ * Fischer time adds an increment to the main time after every move.
+ * @constant
+ * @enum
+ */
+const Timing = {
+    ABSOLUTE: "absolute",
+    BYOYOMI: "byo-yomi",
+    CANADIAN: "Canadian",
+    FISCHER: "Fischer",
+}
+
+/**
+ * Keeps time for both players. Only the clock of the player to move runs,
+ * and pressing it stops it and starts the other's, as on a real game clock.
+ * The time is read from a function, so that it may be anything, e.g. in
+ * tests.
+ * @class
+ */
+class Clock {
+    /**
+     * @param {Object} settings The time allowed, as follows (times in ms):
+     * @param {Timing} settings.timing The time system.
+     * @param {number} settings.main The main time.
+     * @param {number} [settings.periods] The number of byo-yomi periods.
+     * @param {number} [settings.period] The length of a byo-yomi period, or of
+     *     a block of Canadian overtime.
+     * @param {number} [settings.stones] The stones to play in each block of
+     *     Canadian overtime.
+     * @param {number} [settings.increment] The Fischer increment.
+     * @param {function(): number} [now] Reads the current time in ms.
+     */
+    constructor(settings, now = () => Date.now()) {
+        this.settings = settings;
+        this.now = now;
+        let init = {
+            main: settings.main,
+            periods: settings.periods || 0,
+            left: settings.period || 0,
+            stones: settings.stones || 0,
+            flagged: false,
+        };
+        this.state = {};
+        this.state[Player.B] = Object.assign({}, init);
+        this.state[Player.W] = Object.assign({}, init);
+        this.running = null;
+        this.paused = true;
+        this.since = 0;
+    }
+    /**
+     * Work out a player's time after spending some of it.
+     * @param {Object} s The player's time.
+     * @param {number} t The time spent, in ms.
+     * @returns {Object} The player's time afterwards.
+     */
+    spend(s, t) {
+        let res = Object.assign({}, s);
+        let used = Math.min(res.main, t);
+        res.main -= used;
+        t -= used;
+        if (t === 0 && res.main > 0) {
+            return res;
+        }
+        let timing = this.settings.timing;
+        if (timing === Timing.BYOYOMI) {
+            while (res.periods > 0 && t >= res.left) {
+                t -= res.left;
+                res.periods--;
+                res.left = this.settings.period;
+            }
+            if (res.periods > 0) {
+                res.left -= t;
+            } else {
+                res.left = 0;
+            }
+        } else if (timing === Timing.CANADIAN) {
+            res.left = Math.max(0, res.left - t);
+        }
+        res.flagged = (timing === Timing.BYOYOMI) ? res.periods === 0 :
+            (timing === Timing.CANADIAN) ? res.left === 0 :
+            res.main === 0;
+        return res;
+    }
+    /**
+     * Charge the running clock with the time since it was last charged.
+     */
+    charge() {
+        if (this.running !== null && !this.paused) {
+            let t = this.now();
+            this.state[this.running] = this.spend(this.state[this.running], t - this.since);
+            this.since = t;
+        }
+    }
+    /**
+     * Start a player's clock, stopping the other's.
+     * @param {Player} player The player whose clock to start.
+     */
+    start(player) {
+        this.charge();
+        this.running = player;
+        this.paused = false;
+        this.since = this.now();
+    }
+    /**
+     * Stop both clocks until resumed.
+     */
+    pause() {
+        this.charge();
+        this.paused = true;
+    }
+    /**
+     * Restart the clock which was running before the pause.
+     */
+    resume() {
+        if (this.paused && this.running !== null) {
+            this.paused = false;
+            this.since = this.now();
+        }
+    }
+    /**
+     * End the turn of the player whose clock is running, giving them any
+     * time due for having moved, and start the other player's clock.
+     */
+    press() {
+        if (this.running === null) {
+            return;
+        }
+        this.charge();
+        let s = this.state[this.running];
+        if (!s.flagged) {
+            let timing = this.settings.timing;
+            if (timing === Timing.FISCHER) {
+                s.main += this.settings.increment;
+            } else if (timing === Timing.BYOYOMI && s.main === 0) {
+                s.left = this.settings.period;
+            } else if (timing === Timing.CANADIAN && s.main === 0 && --s.stones === 0) {
+                s.stones = this.settings.stones;
+                s.left = this.settings.period;
+            }
+        }
+        this.running = (this.running === Player.B) ? Player.W : Player.B;
+        this.since = this.now();
+    }
+    /**
+     * Read a player's time as it stands now.
+     * @param {Player} player The player.
+     * @returns {Object} The {main, periods, left, stones, flagged} time left.
+     */
+    read(player) {
+        let s = this.state[player];
+        if (player === this.running && !this.paused) {
+            s = this.spend(s, this.now() - this.since);
+        }
+        return s;
+    }
+    /**
+     * Find which player, if any, has run out of time.
+     * @returns {Player} The player, or null if neither has.
+     */
+    flagged() {
+        let res = null;
+        [Player.B, Player.W].forEach(player => {
+            if (this.read(player).flagged) {
+                res = player;
+            }
+        });
+        return res;
+    }
+    /**
+     * Describe a player's time for display, e.g. "4:59", "0:27 (3)" for the
+     * time left in the period and the byo-yomi periods left, or "4:10 / 7"
+     * for the time and the stones left in a block of Canadian overtime.
+     * @param {Player} player The player.
+     * @returns {string} The description.
+     */
+    display(player) {
+        let s = this.read(player);
+        if (s.flagged) {
+            return "time";
+        }
+        let clock = ms => {
+            let secs = Math.ceil(ms / 1000);
+            return Math.floor(secs / 60) + ":" + String(secs % 60).padStart(2, "0");
+        };
+        if (s.main > 0 || this.settings.timing === Timing.ABSOLUTE || this.settings.timing === Timing.FISCHER) {
+            return clock(s.main);
+        } else if (this.settings.timing === Timing.BYOYOMI) {
+            return clock(s.left) + " (" + s.periods + ")";
+        }
+        return clock(s.left) + " / " + s.stones;
+    }
+    /**
+     * Record both players' time, to be given back later, e.g. on undo.
+     * @returns {Object} The record.
+     */
+    save() {
+        this.charge();
+        return {state: JSON.parse(JSON.stringify(this.state)), running: this.running};
+    }
+    /**
+     * Set both players' time back to a record made by save(). The clock of
+     * the player who was to move then runs from now, unless paused.
+     * @param {Object} rec The record.
+     */
+    restore(rec) {
+        this.state = JSON.parse(JSON.stringify(rec.state));
+        this.running = rec.running;
+        this.since = this.now();
+    }
+}
+
+/**
+ * Sets problems (tsumego) from an SGF collection, one per game tree, on an
+ * Engine. Each problem is a setup position and a tree of answers: the
+ * player to move first is the solver, and the computer replies along the
+ * tree. As is usual for problem files, a line is right if a comment on it
+ * says "RIGHT"; if no comment in a problem does, every line in it is right
+ * and any move off the tree is wrong.
+ * @class
+ */
+class Tsumego {
+    /**
+     * @param {Engine} engine The game on which to set the problems.
+     * @param {string} text The contents of the SGF file.
+     * @throws {SgfError} If the file is malformed.
+     */
+    constructor(engine, text) {
+        this.engine = engine;
+        this.trees = parseSgf(text);
+        this.solved = new Set();
+        this.index = 0;
+        this.nodes = new Set();
+        this.marked = false;
+        this.solver = Player.B;
+        // "solving", "right" or "wrong"
+        this.status = "solving";
+    }
+    /**
+     * Set a problem on the board.
+     * @param {number} i The index of the problem in the collection.
+     * @throws {SgfError} If the problem cannot be played.
+     */
+    open(i) {
+        let e = this.engine;
+        e.readTree(this.trees[i]);
+        this.index = i;
+        this.nodes = new Set();
+        let walk = node => {
+            this.nodes.add(node);
+            node.children.forEach(walk);
+        };
+        walk(e.root);
+        this.marked = Array.from(this.nodes).some(n => /\bRIGHT\b/.test(n.comment));
+        this.rewind();
+    }
+    /**
+     * Go back to the start of the problem, forgetting any moves off its tree.
+     */
+    rewind() {
+        let e = this.engine;
+        while (e.retreat()) {}
+        this.nodes.forEach(n => {
+            n.children = n.children.filter(c => this.nodes.has(c));
+            n.active = 0;
+        });
+        this.solver = e.turn;
+        this.status = "solving";
+        e.emit("load");
+    }
+    /**
+     * Determine whether a node ends a right line.
+     * @param {MoveNode} node The node.
+     * @returns {boolean} Whether the node ends a right line.
+     */
+    isRight(node) {
+        return (this.marked) ? /\bRIGHT\b/.test(node.comment) : node.children.length === 0;
+    }
+    /**
+     * Determine whether any line through a node is right.
+     * @param {MoveNode} node The node.
+     * @returns {boolean} Whether any line through the node is right.
+     */
+    leadsRight(node) {
+        return this.isRight(node) || node.children.some(c => this.nodes.has(c) && this.leadsRight(c));
+    }
+    /**
+     * Have the solver play at a play position and, if the problem goes on,
+     * the computer reply. The move is judged right or wrong once the line
+     * it is on ends, or at once if it is off the tree.
+     * @param {Point} p The play position at which to play.
+     * @returns {Illegal} The reason the move is illegal, or null if it was played.
+     */
+    answer(p) {
+        let e = this.engine;
+        if (this.status !== "solving") {
+            return null;
+        }
+        let res = e.check(p);
+        if (res.reason !== undefined) {
+            return res.reason;
+        }
+        let known = e.node.children.find(c =>
+            this.nodes.has(c) && c.move !== null && c.move.p !== null && c.move.p.equals(p));
+        e.play(res.move);
+        if (known === undefined) {
+            this.status = "wrong";
+        } else if (!this.judge()) {
+            // reply with a refutation if there is one; setup nodes are no reply
+            let replies = e.node.children.filter(c => this.nodes.has(c) && c.move !== null);
+            let reply = replies.find(c => !this.leadsRight(c)) || replies[0];
+            if (reply !== undefined) {
+                e.play(reply.move);
+                this.judge();
+            }
+        }
+        if (this.status === "right") {
+            this.solved.add(this.index);
+        }
+        return null;
+    }
+    /**
+     * Judge the current node, if it ends a line.
+     * @returns {boolean} Whether the line has ended.
+     */
+    judge() {
+        let node = this.engine.node;
+        if (this.isRight(node)) {
+            this.status = "right";
+        } else if (!node.children.some(c => this.nodes.has(c))) {
+            this.status = "wrong";
+        } else {
+            return false;
+        }
+        return true;
+    }
+    /**
+     * Take back the solver's last move, and the computer's reply to it.
+     */
+    undo() {
+        let e = this.engine;
+        do {
+            e.undo();
+        } while (e.node !== e.root && e.turn !== this.solver);
+        this.status = "solving";
+    }
+    /**
+     * Find a right move for the solver.
+     * @returns {Point} The play position of a right move, or null if there is none.
+     */
+    hint() {
+        let e = this.engine;
+        if (this.status !== "solving") {
+            return null;
+        }
+        let c = e.node.children.find(c => this.nodes.has(c) && c.move !== null && this.leadsRight(c));
+        return (c === undefined) ? null : c.move.p;
+    }
+}
+
+/**
+ * Follows the pointer on the goban to work out where a stone is to be
+ * placed. A mouse places a stone with a click, as does a touch outside touch
+ * mode; in touch mode a press aims, and dragging moves the aim until the
+ * stone is placed on release or by confirming it. Only the pointer events'
+ * ids, types, buttons and offsets are read, so that it needs no page.
+ * @class
+ */
+class Touch {
+    /**
+     * @param {Board} board The goban pointed at.
+     */
+    constructor(board) {
+        this.board = board;
+        this.mode = "off";
+        // the ids of the pointer pressed on the goban and the one aiming
+        this.pressed = null;
+        this.aiming = null;
+        this.aim = null;
+    }
+    /**
+     * Change the touch mode, which stops any aim.
+     * @param {string} mode "off", "release" to place a stone when the finger
+     *     is lifted, or "confirm" to place it only when confirmed.
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.stop();
+    }
+    /**
+     * Stop aiming, so that no stone is placed until the goban is pressed again.
+     */
+    stop() {
+        this.pressed = null;
+        this.aiming = null;
+        this.aim = null;
+    }
+    /**
+     * Find the play position aimed at by a pointer. It stays on the board
+     * however far the finger strays.
+     * @param {PointerEvent} ev The pointer event.
+     * @returns {Point} The play position.
+     */
+    aimedAt(ev) {
+        let size = this.board.size;
+        let p = this.board.pxCoord(ev.offsetX, ev.offsetY);
+        return new Point(Math.max(1, Math.min(size, p.x)), Math.max(1, Math.min(size, p.y)));
+    }
+    /**
+     * Press a pointer on the goban.
+     * @param {PointerEvent} ev The pointer event.
+     * @returns {boolean} Whether the pointer has begun to aim.
+     */
+    press(ev) {
+        if (!ev.isPrimary || ev.button !== 0) {
+            return false;
+        }
+        this.pressed = ev.pointerId;
+        if (ev.pointerType === "mouse" || this.mode === "off") {
+            return false;
+        }
+        this.aiming = ev.pointerId;
+        this.aim = this.aimedAt(ev);
+        return true;
+    }
+    /**
+     * Move a pointer over the goban.
+     * @param {PointerEvent} ev The pointer event.
+     * @returns {boolean} Whether the pointer is aiming, and so has moved the aim.
+     */
+    move(ev) {
+        if (ev.pointerId !== this.aiming) {
+            return false;
+        }
+        this.aim = this.aimedAt(ev);
+        return true;
+    }
+    /**
+     * Release a pointer from the goban.
+     * @param {PointerEvent} ev The pointer event.
+     * @returns {Point} The play position at which to place a stone, which may
+     *     be off the board, or null if none.
+     */
+    release(ev) {
+        if (ev.pointerId !== this.pressed) {
+            return null;
+        }
+        this.pressed = null;
+        if (ev.pointerId !== this.aiming) {
+            return this.board.pxCoord(ev.offsetX, ev.offsetY);
+        }
+        this.aiming = null;
+        return (this.mode === "release") ? this.confirm() : null;
+    }
+    /**
+     * Cancel a pointer, e.g. when the browser takes it over to scroll.
+     * @param {PointerEvent} ev The pointer event.
+     */
+    cancel(ev) {
+        if (ev.pointerId === this.aiming) {
+            this.stop();
+        }
+        this.pressed = null;
+    }
+    /**
+     * Place the stone aimed at.
+     * @returns {Point} The play position aimed at, or null if none.
+     */
+    confirm() {
+        let p = this.aim;
+        this.aim = null;
+        return p;
+    }
+}
+
+/**
+ * Represents the flow of gameplay, the goban, and the associated interface controls.
+ */
+class Game extends Engine {
+    constructor(size, ctx) {
+        super(size, new Board(size, ctx));
+        this.editMode = Edit.ADD;
+        this.controls = new Controls();
+        this.cursor = null;
+        this.hover = null;
+        this.aim = null;
+        this.showNumbers = false;
+        this.showLiberties = false;
+        this.showAtari = false;
+        this.showEstimate = false;
+        this.addListener((type, mv) => {
+            if (type === "new" || type === "load" || type === "score") {
+                this.controls.setMode(this.mode, this.turn);
+            }
+            if (type === "new" || type === "load") {
+                // the point aimed at may not be on the new board
+                this.aim = null;
+                this.controls.disableButton(Btn.CONFIRM);
+            }
+            this.redraw();
+            this.refreshControls();
+            let msg = this.describe(type, mv);
+            if (msg !== null) {
+                this.controls.announce(msg);
+            }
+        });
+    }
+    /**
+     * Move the keyboard cursor, which starts out in the middle of the board.
+     * @param {number} dx How many columns to move it right (or left, if negative).
+     * @param {number} dy How many rows to move it down (or up, if negative).
+     */
+    moveCursor(dx, dy) {
+        let size = this.board.size;
+        let mid = Math.ceil(size / 2);
+        let p = this.cursor || new Point(mid - dx, mid - dy);
+        let clamp = v => Math.max(1, Math.min(size, v));
+        this.cursor = new Point(clamp(p.x + dx), clamp(p.y + dy));
+        this.redraw();
+        let player = this.board.get(this.cursor);
+        this.controls.announce(pointName(this.cursor, size) + ", " +
+            ((player === null) ? "empty" : (player === Player.B) ? "black" : "white"));
+    }
+    /**
+     * Show a translucent stone under the pointer where the stone could be
+     * played (or, in edit mode, added).
+     * @param {Point} p The play position under the pointer, or null if none.
+     */
+    setHover(p) {
+        if (p === this.hover || (p !== null && this.hover !== null && p.equals(this.hover))) {
+            return;
+        }
+        this.hover = p;
+        this.redraw();
+    }
+    /**
+     * Show where a stone is about to be placed by touch, with a magnified
+     * view of the board around it.
+     * @param {Point} p The play position aimed at, or null to stop aiming.
+     */
+    setAim(p) {
+        if (p === this.aim || (p !== null && this.aim !== null && p.equals(this.aim))) {
+            return;
+        }
+        this.aim = p;
+        this.redraw();
+    }
+    /**
+     * Hide the keyboard cursor.
+     */
+    hideCursor() {
+        if (this.cursor !== null) {
+            this.cursor = null;
+            this.redraw();
+        }
+    }
+    /**
+     * Explain in words why a stone may not be played or added.
+     * @param {Illegal} reason The reason.
+     * @returns {string} The explanation.
+     */
+    explain(reason) {
+        let why = {};
+        why[Illegal.OCCUPIED] = "That point is already occupied";
+        why[Illegal.SUICIDE] = (this.mode === Mode.EDIT) ?
+            "A stone may not be added without liberties" :
+            "Suicide is not allowed under " + this.rules.name + " rules";
+        why[Illegal.KO] = "Ko: the stone just taken may not be retaken yet";
+        why[Illegal.SUPERKO] = "Superko: that would repeat an earlier position";
+        why[Illegal.CAPTURE] = "A stone may not be added where it leaves stones without liberties";
+        return why[reason];
+    }
+    /**
+     * Describe a change to the game in words, to be read out to those who
+     * cannot see the goban (e.g. "Black D4, captures 2").
+     * @param {string} type The type of change, as passed to listeners.
+     * @param {Object} [mv] The move concerned, if any.
+     * @returns {string} The description, or null if there is nothing to say.
+     */
+    describe(type, mv) {
+        let name = player => (player === Player.B) ? "Black" : "White";
+        let size = this.board.size;
+        // what a setup node changed, e.g. "Black stone added at D4"
+        let changed = setup => {
+            let st = setup.stones;
+            if (st.length === 1) {
+                return ((st[0].to === null) ? "Stone removed" : name(st[0].to) + " stone added") +
+                    " at " + pointName(st[0].p, size);
+            } else if (st.length > 1) {
+                return st.length + " stones changed";
+            } else if (setup.turn[0] !== setup.turn[1]) {
+                return name(setup.turn[1]) + " to play";
+            }
+            let player = (setup.prisoners[Player.B] !== 0) ? Player.B : Player.W;
+            let n = setup.prisoners[player];
+            return name(player) + " prisoners " + ((n > 0) ? "+" : "") + n;
+        };
+        if (type === "edit" || (type === "redo" && mv === null)) {
+            return changed(this.node.setup);
+        } else if (type === "undo" && mv === null) {
+            return "Took back " + changed(this.node.next().setup);
+        } else if (type === "play" || type === "redo") {
+            if (mv.p === null) {
+                return name(mv.player) + " passes";
+            }
+            let msg = name(mv.player) + " " + pointName(mv.p, size);
+            if (mv.captured.length > 0) {
+                msg += ", captures " + mv.captured.length;
+            }
+            if (mv.suicided.length > 0) {
+                msg += ", loses " + mv.suicided.length + " by suicide";
+            }
+            if (this.showAtari && this.board.neighbors(mv.p).some(np => {
+                let g = this.board.groupAt(this.board.index(np));
+                return g !== null && g.player !== mv.player && g.libs.size === 1;
+            })) {
+                msg += ", atari";
+            }
+            return msg;
+        } else if (type === "undo") {
+            return "Took back " + name(mv.player) + " " + ((mv.p === null) ? "pass" : pointName(mv.p, size));
+        } else if (type === "new") {
+            return "New " + size + " by " + size + " game, " + name(this.turn) + " to play";
+        } else if (type === "load") {
+            return "Game loaded, " + name(this.turn) + " to play";
+        } else if (type === "jump") {
+            let last = this.node.move;
+            return (this.node === this.root) ? "Start of game" : "Move " + this.moveNumber() + " of " +
+                this.lineLength() + ", " + ((last === null) ? changed(this.node.setup) : name(last.player) + " " +
+                ((last.p === null) ? "pass" : pointName(last.p, size)));
+        } else if (type === "score") {
+            if (this.mode !== Mode.SCORE) {
+                return "Play resumed, " + name(this.turn) + " to play";
+            }
+            let res = this.result();
+            return "Counting: " + ((res === "0") ? "Jigo" : res);
+        } else if (type === "transform") {
+            return "Board " + mv.text + ", " + name(this.turn) + " to play";
+        }
+        return null;
+    }
+    /**
+     * Redraw the goban from the state of the game.
+     */
+    redraw() {
+        this.board.shading = (this.showEstimate && this.mode !== Mode.SCORE) ? this.estimate() : null;
+        this.board.resize(this.board.size);
+        if (this.mode === Mode.SCORE) {
+            let res = this.board.territory(this.dead);
+            [Player.B, Player.W].forEach(player => {
+                res.territory[player].forEach(p => this.board.drawTerritory(player, p));
+            });
+        }
+        let mv = this.node.move;
+        if (this.showNumbers) {
+            this.moveNumbers().forEach((n, i) => {
+                let p = this.board.point(i);
+                let color = (mv !== null && mv.p !== null && p.equals(mv.p)) ? "#d00000" :
+                    (this.board.state[i] === Player.B) ? "#ffffff" : "#000000";
+                this.board.drawLabel(p, String(n), color);
+            });
+        } else if (mv !== null && mv.p !== null && this.board.get(mv.p) === mv.player) {
+            this.board.drawLastMove(mv.p);
+        }
+        if ((this.showLiberties || this.showAtari) && this.mode !== Mode.SCORE) {
+            let seen = new Set();
+            this.board.state.forEach((player, i) => {
+                let g = this.board.groupAt(i);
+                if (g === null || seen.has(g)) {
+                    return;
+                }
+                seen.add(g);
+                if (this.showAtari && g.libs.size === 1) {
+                    g.stones.forEach(s => this.board.drawAtari(this.board.point(s)));
+                }
+                if (this.showLiberties) {
+                    this.board.drawBadge(this.board.point(Math.min(...g.stones)), g.libs.size);
+                }
+            });
+        }
+        this.node.markup.forEach((mark, i) => this.board.drawMark(this.board.point(i), mark));
+        let playable = p => (this.mode === Mode.PLAY) ? this.check(p).reason === undefined :
+            this.mode === Mode.EDIT && this.editMode === Edit.ADD && this.checkSetup(p, this.turn) === null;
+        if (this.hover !== null && playable(this.hover)) {
+            this.board.drawGhost(this.turn, this.hover);
+        }
+        if (this.cursor !== null) {
+            this.board.drawCursor(this.cursor);
+        }
+        if (this.aim !== null) {
+            if (playable(this.aim)) {
+                this.board.drawGhost(this.turn, this.aim);
+            }
+            this.board.drawCursor(this.aim);
+            this.board.drawLoupe(this.aim);
+        }
+    }
+    /**
+     * Bring every control up to date with the state of the game.
+     */
+    refreshControls() {
+        this.controls.updateCaptured(Player.B, this.captured[Player.B]);
+        this.controls.updateCaptured(Player.W, this.captured[Player.W]);
+        (this.node === this.root) ?
+            this.controls.disableButton(Btn.UNDO) : this.controls.enableButton(Btn.UNDO);
+        (this.node.next() === undefined) ?
+            this.controls.disableButton(Btn.REDO) : this.controls.enableButton(Btn.REDO);
+        let siblings = (this.node === this.root) ? [] : this.node.parent.children;
+        this.controls.updateVariation(siblings.indexOf(this.node), siblings.length);
+        this.controls.setDisplay(this.turn, this.mode === Mode.EDIT);
+        this.controls.updateComment(this.node.comment);
+        this.controls.updateReview(this.moveNumber(), this.lineLength());
+        this.controls.updateEstimate((this.board.shading !== null) ? this.board.shading.points : null);
+        let mv = this.node.move;
+        if (this.mode === Mode.SCORE) {
+            this.controls.showMessage("Click groups to mark them dead");
+            this.controls.updateScore(this.rules, this.score().points, this.result());
+        } else if (this.mode === Mode.PLAY && mv !== null && mv.p === null) {
+            let pname = (mv.player === Player.B) ? "Black" : "White";
+            let tname = (this.turn === Player.B) ? "Black" : "White";
+            this.controls.showMessage(pname + " passed — " + tname + " to play");
+        }
+        if (this.placing > 0) {
+            this.controls.showMessage(
+                "Place " + this.placing + " handicap stone" + ((this.placing > 1) ? "s" : "")
+            );
+        }
     }
 }
 
@@ -436,6 +4039,7 @@ class Controls {
     enableButton(btn) {
         document.getElementById(btn).classList.replace("off", "on");
         document.getElementById(btn).classList.add("push");
+        document.getElementById(btn).setAttribute("aria-disabled", "false");
     }
     /**
      * Disable a button and make it unpushable.
@@ -444,6 +4048,7 @@ class Controls {
     disableButton(btn) {
         document.getElementById(btn).classList.replace("on", "off");
         document.getElementById(btn).classList.remove("push");
+        document.getElementById(btn).setAttribute("aria-disabled", "true");
     }
     /**
      * Change the player turn display.
@@ -465,41 +4070,153 @@ class Controls {
      * @param {Player} player The player whose turn it is.
      */
     setMode(mode, player) {
-        console.log(player);
         let mb = document.getElementById(Btn.MODE);
+        let shown = {};
+        shown["edit"] = (mode === Mode.EDIT);
+        shown["play"] = (mode === Mode.PLAY);
+        shown["scoring"] = (mode === Mode.SCORE);
+        shown["review"] = (mode === Mode.REVIEW);
+        Object.keys(shown).forEach(cls => {
+            let es = document.getElementsByClassName(cls);
+            for (let i = 0; i < es.length; i++) {
+                es[i].style.display = (shown[cls]) ? "flex" : "none";
+            }
+        });
         if (mode === Mode.EDIT) {
             mb.innerHTML = "mode — EDIT"
             mb.classList.replace("green3d", "red3d");
-            let es = document.getElementsByClassName("edit");
-            for (let i = 0; i < es.length; i++) {
-                es[i].style.display = "flex";
-            }
-            let ps = document.getElementsByClassName("play");
-            for (let i = 0; i < ps.length; i++) {
-                ps[i].style.display = "none";
-            }
             this.setDisplay(player, true);
         } else {
-            mb.innerHTML = "mode — PLAY"
+            mb.innerHTML = (mode === Mode.SCORE) ? "mode — SCORE" :
+                (mode === Mode.REVIEW) ? "mode — REVIEW" : "mode — PLAY";
             mb.classList.replace("red3d", "green3d");
-            let es = document.getElementsByClassName("edit");
-            for (let i = 0; i < es.length; i++) {
-                es[i].style.display = "none";
-            }
-            let ps = document.getElementsByClassName("play");
-            for (let i = 0; i < ps.length; i++) {
-                ps[i].style.display = "flex";
-            }
             this.setDisplay(player);
         }
     }
+    /**
+     * Change the visual display of which variation is active.
+     * @param {number} i The index of the active variation among its siblings.
+     * @param {number} n The number of sibling variations, or 0 at the start of the game.
+     */
+    updateVariation(i, n) {
+        document.getElementById("variation").textContent =
+            (n === 0) ? "start of game" : "variation " + (i + 1) + "/" + n;
+        (n < 2) ? this.disableButton(Btn.PREV) : this.enableButton(Btn.PREV);
+        (n < 2) ? this.disableButton(Btn.NEXT) : this.enableButton(Btn.NEXT);
+        (n === 0) ? this.disableButton(Btn.DEL) : this.enableButton(Btn.DEL);
+    }
+    /**
+     * Change the visual display of where the current position lies in the
+     * line of play being reviewed.
+     * @param {number} n The number of the current move.
+     * @param {number} length The number of moves in the line.
+     */
+    updateReview(n, length) {
+        ["slider", "moveno"].forEach(id => {
+            let input = document.getElementById(id);
+            input.max = length;
+            input.value = n;
+        });
+        document.getElementById("movecount").textContent = "of " + length;
+        (n === 0) ? this.disableButton(Btn.FIRST) : this.enableButton(Btn.FIRST);
+        (n === 0) ? this.disableButton(Btn.BACK) : this.enableButton(Btn.BACK);
+        (n === length) ? this.disableButton(Btn.FORWARD) : this.enableButton(Btn.FORWARD);
+        (n === length) ? this.disableButton(Btn.LAST) : this.enableButton(Btn.LAST);
+    }
+    /**
+     * Change the visual display of the counted score.
+     * @param {Object} rules The rule set by which the game was counted.
+     * @param {Object} points Each player's points.
+     * @param {string} result The result of the game.
+     */
+    updateScore(rules, points, result) {
+        document.getElementById("result").textContent =
+            rules.name + " rules, " + rules.counting + " counting — " +
+            points[Player.B] + " : " + points[Player.W] + " — " + ((result === "0") ? "Jigo" : result);
+    }
+    /**
+     * Change the visual display of the estimated score.
+     * @param {Object} points Each player's estimated points, or null to
+     *     hide the estimate.
+     */
+    updateEstimate(points) {
+        let est = document.getElementById("estimate");
+        est.hidden = (points === null);
+        if (points !== null) {
+            let diff = points[Player.B] - points[Player.W];
+            est.textContent = "≈ " + ((diff === 0) ? "even" : (diff > 0) ? "B+" + diff : "W+" + -diff);
+            est.title = "estimated score: Black " + points[Player.B] + ", White " + points[Player.W];
+        }
+    }
+    /**
+     * Show a message in place of the player turn display.
+     * @param {string} msg The message to show.
+     */
+    showMessage(msg) {
+        document.getElementById("display").textContent = msg;
+    }
+    /**
+     * Have screen readers read out a message, without showing it.
+     * @param {string} msg The message to read out.
+     */
+    announce(msg) {
+        document.getElementById("announce").textContent = msg;
+    }
+    /**
+     * Show or hide the game clocks.
+     * @param {boolean} shown Whether the game is timed.
+     */
+    showClocks(shown) {
+        document.getElementById("clockb").hidden = !shown;
+        document.getElementById("clockw").hidden = !shown;
+        document.getElementById(Btn.PAUSE).hidden = !shown;
+    }
+    /**
+     * Change the visual display of a player's clock.
+     * @param {Player} player The player whose clock to change.
+     * @param {string} time The time left.
+     * @param {boolean} running Whether the clock is running.
+     */
+    updateClock(player, time, running) {
+        let clock = document.getElementById((player === Player.B) ? "clockb" : "clockw");
+        clock.textContent = time;
+        (running) ? clock.classList.add("running") : clock.classList.remove("running");
+    }
     /**
      * Change the visual state of the edit mode display button.
      * @param {Edit} mode The edit mode to set.
      */
     setEditMode(mode) {
-        document.getElementById(Btn.ADDP).innerHTML =
-            (mode === Edit.ADD) ? "Add Stones" : "Remove Stones";
+        document.getElementById(Btn.ADDP).value = String(mode);
+    }
+    /**
+     * Show or hide the controls for solving problems.
+     * @param {boolean} shown Whether a problem set is open.
+     */
+    showProblems(shown) {
+        document.getElementById("problembar").hidden = !shown;
+    }
+    /**
+     * Change the visual display of which problem is open.
+     * @param {number} i The index of the open problem.
+     * @param {number} n The number of problems in the set.
+     * @param {number} solved How many of them have been solved.
+     */
+    updateProblem(i, n, solved) {
+        document.getElementById("problem").textContent =
+            "problem " + (i + 1) + "/" + n + " — " + solved + " solved";
+        (i === 0) ? this.disableButton("prevproblem") : this.enableButton("prevproblem");
+        (i === n - 1) ? this.disableButton("nextproblem") : this.enableButton("nextproblem");
+    }
+    /**
+     * Change the comment shown for the current move or position.
+     * @param {string} text The comment.
+     */
+    updateComment(text) {
+        let comment = document.getElementById("comment");
+        if (comment.value !== text) {
+            comment.value = text;
+        }
     }
     /**
      * Change the visual display of stones captured by a particular player.
@@ -523,119 +4240,1017 @@ class Controls {
 
 function goban(canvas) {
     let ctx = canvas.getContext("2d");
-    let gameSize = 19;
 
     // set the initial size
     function resizeCanvas() {
-        if (window.innerWidth > window.innerHeight) {
-            ctx.canvas.width = window.innerHeight;
-            ctx.canvas.height = window.innerHeight;
-        } else {
-            ctx.canvas.width = window.innerWidth;
-            ctx.canvas.height = window.innerWidth;
-        }
-        game.board.resize(gameSize);
+        let size = Math.min(window.innerWidth, window.innerHeight);
+        let scale = window.devicePixelRatio || 1;
+        ctx.canvas.style.width = size + "px";
+        ctx.canvas.style.height = size + "px";
+        ctx.canvas.width = Math.round(size * scale);
+        ctx.canvas.height = Math.round(size * scale);
+        game.board.scale = scale;
+        game.redraw();
     }
 
-    let game = new Game(gameSize, ctx);
+    let game = new Game(19, ctx);
     resizeCanvas();
     window.addEventListener("resize", resizeCanvas, false);
+    // moving to a screen of another density does not always resize the window
+    function watchScale() {
+        window.matchMedia("(resolution: " + (window.devicePixelRatio || 1) + "dppx)").addEventListener("change", ev => {
+            resizeCanvas();
+            watchScale();
+        }, {once: true});
+    }
+    watchScale();
+
+    // the game is saved as it changes, and picked up again when the page is reopened
+    let store = new GameStore(window.localStorage);
+    let saved = store.autoload();
+    if (location.hash.length > 1) {
+        // a link to a game takes the place of the last one, which is left on
+        // the empty board if the link cannot be opened
+        try {
+            game.loadLink(location.hash.slice(1));
+        } catch (e) {
+            if (!(e instanceof SgfError)) {
+                throw e;
+            }
+            game.controls.showMessage("The link could not be opened: " + e.message);
+        }
+        history.replaceState(null, "", location.pathname + location.search);
+    } else if (saved !== null) {
+        try {
+            game.restore(saved);
+        } catch (e) {
+            if (!(e instanceof SgfError)) {
+                throw e;
+            }
+            game.controls.showMessage("The last game could not be restored: " + e.message);
+        }
+    }
+    // the controls for the mode are otherwise shown only once a game is begun
+    game.controls.setMode(game.mode, game.turn);
+    function autosave() {
+        try {
+            store.autosave(game.snapshot());
+        } catch (e) {
+            game.controls.showMessage("The game could not be saved: " + e.message);
+        }
+    }
+    game.addListener(autosave);
+    window.addEventListener("pagehide", autosave);
+
+    // the look of the goban, which is dark by default if the system is
+    let themeSel = document.getElementById("theme");
+    function setTheme(theme) {
+        game.board.setTheme(theme);
+        document.body.classList.toggle("dark", theme.dark);
+        themeSel.value = theme.name;
+        game.redraw();
+    }
+    setTheme(Object.values(Themes).find(t => t.name === store.settings().theme) ||
+        ((window.matchMedia("(prefers-color-scheme: dark)").matches) ? Themes.DARK : Themes.CLASSIC));
+    themeSel.addEventListener("change", ev => {
+        let theme = Object.values(Themes).find(t => t.name === themeSel.value);
+        setTheme(theme);
+        try {
+            store.saveSetting("theme", theme.name);
+        } catch (e) {
+            game.controls.showMessage("The theme could not be saved: " + e.message);
+        }
+    });
 
     // when in edit mode, clicking on the display changes players
     document.getElementById("display").addEventListener("click", ev => {
         if (game.mode == Mode.EDIT) {
-            if (game.turn === Player.B) {
-                game.turn = Player.W;
-            } else {
-                game.turn = Player.B;
-            }
-            game.controls.setDisplay(game.turn, true);
+            game.edit({turn: (game.turn === Player.B) ? Player.W : Player.B});
         }
     });
     document.getElementById(Btn.BP).addEventListener("click", ev => {
-        game.controls.updateCaptured(Player.B, ++game.captured[Player.B]);
+        game.edit({prisoners: [1, 0]});
     });
     document.getElementById(Btn.BM).addEventListener("click", ev => {
         if (game.captured[Player.B] > 0) {
-            game.controls.updateCaptured(Player.B, --game.captured[Player.B]);
+            game.edit({prisoners: [-1, 0]});
         }
     });
     document.getElementById(Btn.WP).addEventListener("click", ev => {
-        game.controls.updateCaptured(Player.W, ++game.captured[Player.W]);
+        game.edit({prisoners: [0, 1]});
     });
     document.getElementById(Btn.WM).addEventListener("click", ev => {
         if (game.captured[Player.W] > 0) {
-            game.controls.updateCaptured(Player.W, --game.captured[Player.W]);
+            game.edit({prisoners: [0, -1]});
         }
     });
     document.getElementById(Btn.UNDO).addEventListener("click", ev => {
+        if (tsumego !== null) {
+            tsumego.undo();
+            return;
+        }
         game.undo();
+        // take back the computer's reply as well, so that it is the player's turn
+        if (botTurn()) {
+            game.undo();
+        }
     });
     document.getElementById(Btn.REDO).addEventListener("click", ev => {
         game.redo();
     });
+    document.getElementById(Btn.PREV).addEventListener("click", ev => {
+        game.switchVariation(-1);
+    });
+    document.getElementById(Btn.NEXT).addEventListener("click", ev => {
+        game.switchVariation(1);
+    });
+    document.getElementById(Btn.DEL).addEventListener("click", ev => {
+        game.deleteVariation();
+    });
+    document.getElementById(Btn.PASS).addEventListener("click", ev => {
+        if (game.mode === Mode.PLAY && game.placing === 0 && !botTurn()) {
+            game.pass();
+        }
+    });
+    document.getElementById(Btn.RESUME).addEventListener("click", ev => {
+        game.resume();
+    });
     document.getElementById(Btn.MODE).addEventListener("click", ev => {
-        if (game.mode === Mode.PLAY) {
-            game.mode = Mode.EDIT;
-            game.controls.setMode(Mode.EDIT, game.turn);
+        if (game.mode === Mode.SCORE) {
+            game.resume();
         } else {
-            game.mode = Mode.PLAY;
-            game.controls.setMode(Mode.PLAY, game.turn);
+            let next = {};
+            next[Mode.PLAY] = Mode.EDIT;
+            next[Mode.EDIT] = Mode.REVIEW;
+            next[Mode.REVIEW] = Mode.PLAY;
+            game.mode = next[game.mode];
+            game.controls.setMode(game.mode, game.turn);
+            stopAutoplay();
         }
+        autosave();
     })
-    document.getElementById(Btn.ADDP).addEventListener("click", ev => {
-        game.editMode = (game.editMode === Edit.ADD) ? Edit.SUB : Edit.ADD;
+
+    // reviewing the line of play, by jumping about it or playing it through
+    let autoplay = null;
+    let autoplayBtn = document.getElementById(Btn.AUTOPLAY);
+    let speed = document.getElementById("speed");
+    function stopAutoplay() {
+        if (autoplay !== null) {
+            clearInterval(autoplay);
+            autoplay = null;
+            autoplayBtn.textContent = "autoplay";
+        }
+    }
+    function startAutoplay() {
+        stopAutoplay();
+        autoplay = setInterval(() => {
+            if (game.node.next() === undefined) {
+                stopAutoplay();
+            } else {
+                game.redo();
+            }
+        }, parseInt(speed.value, 10));
+        autoplayBtn.textContent = "stop";
+    }
+    autoplayBtn.addEventListener("click", ev => {
+        if (autoplay !== null) {
+            stopAutoplay();
+            return;
+        }
+        if (game.node.next() === undefined) {
+            game.goTo(0);
+        }
+        startAutoplay();
+    });
+    speed.addEventListener("change", ev => {
+        if (autoplay !== null) {
+            startAutoplay();
+        }
+    });
+    document.getElementById(Btn.FIRST).addEventListener("click", ev => {
+        game.goTo(0);
+    });
+    document.getElementById(Btn.BACK).addEventListener("click", ev => {
+        game.undo();
+    });
+    document.getElementById(Btn.FORWARD).addEventListener("click", ev => {
+        game.redo();
+    });
+    document.getElementById(Btn.LAST).addEventListener("click", ev => {
+        game.goTo(Infinity);
+    });
+    document.getElementById("slider").addEventListener("input", ev => {
+        game.goTo(parseInt(ev.target.value, 10));
+    });
+    document.getElementById("moveno").addEventListener("change", ev => {
+        let n = parseInt(ev.target.value, 10);
+        (isNaN(n)) ? game.refreshControls() : game.goTo(Math.max(0, n));
+    });
+    game.addListener((type, mv) => {
+        if (type === "new" || type === "load" || game.mode !== Mode.REVIEW) {
+            stopAutoplay();
+        }
+    });
+    document.getElementById(Btn.ADDP).addEventListener("change", ev => {
+        game.editMode = parseInt(ev.target.value, 10);
         game.controls.setEditMode(game.editMode);
     });
+    document.getElementById("comment").addEventListener("change", ev => {
+        game.setComment(ev.target.value);
+    });
+    // new game dialog
+    let newDlg = document.getElementById("newgame");
+    let sizeSel = document.getElementById("size");
+    let customSize = document.getElementById("customsize");
+    let handiSel = document.getElementById("handicap");
+    let freeBox = document.getElementById("free");
+    let komiIn = document.getElementById("komi");
+    let rulesSel = document.getElementById("rules");
+    let defaultKomi = () => {
+        let rules = Rules[rulesSel.value];
+        komiIn.value = (handiSel.value === "0" || rules.counting === "area") ? rules.komi : 0.5;
+    };
+    sizeSel.addEventListener("change", ev => {
+        customSize.hidden = (sizeSel.value !== "custom");
+    });
+    handiSel.addEventListener("change", defaultKomi);
+    rulesSel.addEventListener("change", defaultKomi);
+    document.getElementById(Btn.NEW).addEventListener("click", ev => {
+        newDlg.showModal();
+    });
+    document.getElementById("cancel").addEventListener("click", ev => {
+        newDlg.close();
+    });
+    let timingSel = document.getElementById("timing");
+    let timeFields = {
+        ABSOLUTE: ["maintime"],
+        BYOYOMI: ["maintime", "periods", "period"],
+        CANADIAN: ["maintime", "period", "stones"],
+        FISCHER: ["maintime", "increment"],
+    };
+    let showTimeFields = () => {
+        ["maintime", "periods", "period", "stones", "increment"].forEach(id => {
+            let shown = timingSel.value in timeFields && timeFields[timingSel.value].includes(id);
+            document.getElementById(id + "field").hidden = !shown;
+        });
+    };
+    timingSel.addEventListener("change", showTimeFields);
+    showTimeFields();
+    // read the time settings from the dialog, in ms
+    let timeSettings = () => {
+        if (!(timingSel.value in timeFields)) {
+            return null;
+        }
+        let val = (id, scale) => {
+            let v = parseFloat(document.getElementById(id).value);
+            if (!(v >= 0)) {
+                throw new RangeError("times and counts must be numbers no less than 0");
+            }
+            return v * scale;
+        };
+        let settings = {timing: Timing[timingSel.value], main: val("maintime", 60000)};
+        let fields = timeFields[timingSel.value];
+        if (fields.includes("periods")) {
+            settings.periods = Math.floor(val("periods", 1));
+        }
+        if (fields.includes("period")) {
+            settings.period = val("period", 1000);
+        }
+        if (fields.includes("stones")) {
+            settings.stones = Math.max(1, Math.floor(val("stones", 1)));
+        }
+        if (fields.includes("increment")) {
+            settings.increment = val("increment", 1000);
+        }
+        return settings;
+    };
+    document.getElementById("start").addEventListener("click", ev => {
+        let size = parseInt((sizeSel.value === "custom") ? customSize.value : sizeSel.value, 10);
+        try {
+            let settings = timeSettings();
+            game.newGame(size, {
+                handicap: parseInt(handiSel.value, 10),
+                free: freeBox.checked,
+                komi: parseFloat(komiIn.value),
+                rules: Rules[rulesSel.value],
+            });
+            startClock(settings);
+            quitProblems();
+            newDlg.close();
+        } catch (e) {
+            if (!(e instanceof RangeError)) {
+                throw e;
+            }
+            document.getElementById("newerror").textContent = e.message;
+        }
+    });
+    function download(blob, name) {
+        let a = document.createElement("a");
+        a.href = URL.createObjectURL(blob);
+        a.download = name;
+        a.click();
+        // some browsers fetch the file only once the click has been handled
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }
+    document.getElementById(Btn.SAVE).addEventListener("click", ev => {
+        download(new Blob([game.toSgf()], {type: "application/x-go-sgf"}), "goban.sgf");
+    });
+    // rotate, mirror or swap the colors of the whole game
+    let transformSel = document.getElementById("transformation");
+    document.getElementById(Btn.TRANSFORM).addEventListener("click", ev => {
+        let t = Object.values(Transform).find(t => t.name === transformSel.value);
+        game.transform(t);
+        if (tsumego !== null) {
+            if (t.swap) {
+                tsumego.solver = (tsumego.solver === Player.B) ? Player.W : Player.B;
+            }
+            showProblem();
+        }
+    });
+    document.getElementById(Btn.SHARE).addEventListener("click", ev => {
+        let url = location.href.split("#")[0] + "#" + game.toLink();
+        let copied = (navigator.clipboard === undefined) ?
+            Promise.reject() : navigator.clipboard.writeText(url);
+        copied.then(
+            () => game.controls.showMessage("Link copied"),
+            () => window.prompt("Copy this link to the game:", url)
+        );
+    });
+    window.addEventListener("hashchange", ev => {
+        if (location.hash.length <= 1) {
+            return;
+        }
+        try {
+            game.loadLink(location.hash.slice(1));
+            quitProblems();
+        } catch (e) {
+            if (!(e instanceof SgfError)) {
+                throw e;
+            }
+            game.newGame(19);
+            startClock(null);
+            quitProblems();
+            game.controls.showMessage("The link could not be opened: " + e.message);
+        }
+        history.replaceState(null, "", location.pathname + location.search);
+    });
+    let sgfFile = document.getElementById("sgffile");
+    document.getElementById(Btn.LOAD).addEventListener("click", ev => {
+        sgfFile.click();
+    });
+    sgfFile.addEventListener("change", ev => {
+        let file = sgfFile.files[0];
+        sgfFile.value = "";
+        if (file === undefined) {
+            return;
+        }
+        file.text().then(text => {
+            try {
+                game.loadSgf(text);
+                quitProblems();
+            } catch (e) {
+                if (!(e instanceof SgfError)) {
+                    throw e;
+                }
+                game.controls.showMessage(file.name + ": " + e.message);
+            }
+        }).catch(e => game.controls.showMessage(file.name + " could not be opened: " + e.message));
+    });
+
+    // game clocks; the time at every move is remembered, so that undo gives it back
+    let clock = null;
+    let clockTimes = new WeakMap();
+    let pauseBtn = document.getElementById(Btn.PAUSE);
+    // the clocks are redrawn a few times a second, but only while there are
+    // clocks and neither player has run out of time
+    let ticker = null;
+    // whether the clock was stopped by a loss on time rather than by hand
+    let stoppedByFlag = false;
+    function startTicking() {
+        if (ticker === null && clock !== null && !timeUp()) {
+            ticker = setInterval(tick, 200);
+        }
+    }
+    function stopTicking() {
+        if (ticker !== null) {
+            clearInterval(ticker);
+            ticker = null;
+        }
+    }
+    function startClock(settings) {
+        stopTicking();
+        clock = (settings === null) ? null : new Clock(settings);
+        game.controls.showClocks(clock !== null);
+        pauseBtn.textContent = "pause clock";
+        stoppedByFlag = false;
+        if (clock !== null && game.placing === 0) {
+            clock.start(game.turn);
+            clockTimes.set(game.root, clock.save());
+        }
+        tick();
+        startTicking();
+    }
+    function timeUp() {
+        return clock !== null && clock.flagged() !== null;
+    }
+    function tick() {
+        if (clock === null) {
+            return;
+        }
+        [Player.B, Player.W].forEach(player => {
+            game.controls.updateClock(player, clock.display(player), player === clock.running && !clock.paused);
+        });
+        let loser = clock.flagged();
+        if (loser !== null && !clock.paused) {
+            stopTicking();
+            clock.pause();
+            stoppedByFlag = true;
+            let msg = ((loser === Player.B) ? "Black" : "White") + " loses on time";
+            game.controls.showMessage(msg);
+            game.controls.announce(msg);
+        }
+    }
+    game.addListener((type, mv) => {
+        if (clock === null) {
+            return;
+        }
+        if (type === "load") {
+            startClock(null);
+            return;
+        }
+        if (type === "play") {
+            clock.press();
+            clockTimes.set(game.node, clock.save());
+        } else if ((type === "undo" || type === "redo" || type === "jump") && clockTimes.has(game.node)) {
+            clock.restore(clockTimes.get(game.node));
+            // undoing past the loss on time starts the clock again
+            if (stoppedByFlag && !timeUp()) {
+                stoppedByFlag = false;
+                if (game.mode !== Mode.SCORE) {
+                    clock.resume();
+                }
+            }
+        } else if (type === "setup") {
+            if (clock.running === null && game.placing === 0) {
+                clock.start(game.turn);
+            }
+            clockTimes.set(game.root, clock.save());
+        } else if (type === "score") {
+            (game.mode === Mode.SCORE) ? clock.pause() : clock.resume();
+        }
+        tick();
+        startTicking();
+    });
+    pauseBtn.addEventListener("click", ev => {
+        if (clock === null || timeUp()) {
+            return;
+        }
+        (clock.paused) ? clock.resume() : clock.pause();
+        pauseBtn.textContent = (clock.paused) ? "resume clock" : "pause clock";
+        tick();
+    });
+
+    // problem sets, of which one problem at a time is set on the board
+    let tsumego = null;
+    let problemSet = "";
+    let problemFile = document.getElementById("problemfile");
+    function showProblem() {
+        let msg = {
+            solving: ((tsumego.solver === Player.B) ? "Black" : "White") + " to play",
+            right: "Right!",
+            wrong: "Wrong — undo or reset to try again",
+        }[tsumego.status];
+        game.controls.showMessage(msg);
+        game.controls.announce(msg);
+        game.controls.updateProblem(tsumego.index, tsumego.trees.length, tsumego.solved.size);
+    }
+    function openProblem(i) {
+        try {
+            tsumego.open(i);
+        } catch (e) {
+            if (!(e instanceof SgfError)) {
+                throw e;
+            }
+            game.controls.showMessage("Problem " + (i + 1) + ": " + e.message);
+            return;
+        }
+        showProblem();
+    }
+    function quitProblems() {
+        tsumego = null;
+        game.controls.showProblems(false);
+    }
+    document.getElementById(Btn.PROBLEMS).addEventListener("click", ev => {
+        problemFile.click();
+    });
+    problemFile.addEventListener("change", ev => {
+        let file = problemFile.files[0];
+        problemFile.value = "";
+        if (file === undefined) {
+            return;
+        }
+        file.text().then(text => {
+            try {
+                tsumego = new Tsumego(game, text);
+            } catch (e) {
+                if (!(e instanceof SgfError)) {
+                    throw e;
+                }
+                game.controls.showMessage(file.name + ": " + e.message);
+                return;
+            }
+            problemSet = file.name;
+            store.solved(problemSet).forEach(i => tsumego.solved.add(i));
+            game.controls.showProblems(true);
+            if (game.mode !== Mode.PLAY) {
+                game.mode = Mode.PLAY;
+                game.controls.setMode(Mode.PLAY, game.turn);
+            }
+            let first = tsumego.trees.findIndex((t, i) => !tsumego.solved.has(i));
+            openProblem(Math.max(0, first));
+        }).catch(e => game.controls.showMessage(file.name + " could not be opened: " + e.message));
+    });
+    document.getElementById("prevproblem").addEventListener("click", ev => {
+        if (tsumego.index > 0) {
+            openProblem(tsumego.index - 1);
+        }
+    });
+    document.getElementById("nextproblem").addEventListener("click", ev => {
+        if (tsumego.index < tsumego.trees.length - 1) {
+            openProblem(tsumego.index + 1);
+        }
+    });
+    document.getElementById(Btn.RESET).addEventListener("click", ev => {
+        tsumego.rewind();
+        showProblem();
+    });
+    document.getElementById(Btn.HINT).addEventListener("click", ev => {
+        let p = tsumego.hint();
+        if (p === null) {
+            showProblem();
+            return;
+        }
+        game.cursor = p;
+        game.redraw();
+        game.controls.showMessage("Try " + pointName(p, game.board.size));
+    });
+    document.getElementById("quitproblems").addEventListener("click", ev => {
+        quitProblems();
+        game.controls.setDisplay(game.turn);
+    });
+
+    // diagrams of the position, drawn from the game rather than copied off the canvas
+    let exportDlg = document.getElementById("exportdiagram");
+    let exportText = document.getElementById("exporttext");
+    let exportError = document.getElementById("exporterror");
+    document.getElementById(Btn.EXPORT).addEventListener("click", ev => {
+        exportError.textContent = "";
+        exportText.hidden = true;
+        exportDlg.showModal();
+    });
+    document.getElementById("exportgo").addEventListener("click", ev => {
+        let corners = ["exportfrom", "exportto"].map(id => document.getElementById(id).value.trim());
+        let coords = document.getElementById("exportcoords").checked;
+        let region = [];
+        exportError.textContent = "";
+        exportText.hidden = true;
+        if (corners.includes("") && corners.some(c => c !== "")) {
+            exportError.textContent = "Give both corners of the region, or neither for the whole board";
+            return;
+        }
+        try {
+            if (!corners.includes("")) {
+                region = corners.map(c => gtpPoint(c, game.board.size));
+            }
+        } catch (e) {
+            if (!(e instanceof GtpError)) {
+                throw e;
+            }
+            exportError.textContent = "The region could not be read: " + e.message;
+            return;
+        }
+        if (region.includes(null)) {
+            exportError.textContent = "The corners of the region must be points on the board";
+            return;
+        }
+        let format = document.getElementById("exportformat").value;
+        if (format === "ascii") {
+            exportText.value = game.toAscii(region[0], region[1], coords);
+            exportText.hidden = false;
+            exportText.select();
+            return;
+        }
+        let svg = new Blob([game.toSvg(region[0], region[1], coords)], {type: "image/svg+xml"});
+        if (format === "svg") {
+            download(svg, "goban.svg");
+            return;
+        }
+        // the PNG is rasterized from the SVG, at twice its size to stay sharp
+        let img = new Image();
+        img.onload = () => {
+            let canvas = document.createElement("canvas");
+            canvas.width = 2 * img.width;
+            canvas.height = 2 * img.height;
+            canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(img.src);
+            canvas.toBlob(png => download(png, "goban.png"), "image/png");
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(img.src);
+            exportError.textContent = "The PNG could not be drawn";
+        };
+        img.src = URL.createObjectURL(svg);
+    });
+    document.getElementById("closeexport").addEventListener("click", ev => {
+        exportDlg.close();
+    });
+
+    // saved games dialog
+    let gamesDlg = document.getElementById("savedgames");
+    let gameName = document.getElementById("gamename");
+    let gameList = document.getElementById("gamelist");
+    let gamesError = document.getElementById("gameserror");
+    function listGames(selected) {
+        gameList.innerHTML = "";
+        store.list().forEach(g => {
+            let opt = document.createElement("option");
+            opt.value = g.name;
+            opt.textContent = g.name + " — " + new Date(g.date).toLocaleString();
+            opt.selected = (g.name === selected);
+            gameList.appendChild(opt);
+        });
+    }
+    function storeGame(fn) {
+        gamesError.textContent = "";
+        try {
+            fn();
+        } catch (e) {
+            gamesError.textContent = "The game could not be saved: " + e.message;
+        }
+    }
+    document.getElementById(Btn.GAMES).addEventListener("click", ev => {
+        gamesError.textContent = "";
+        listGames();
+        gamesDlg.showModal();
+    });
+    gameList.addEventListener("change", ev => {
+        gameName.value = gameList.value;
+    });
+    document.getElementById("savegame").addEventListener("click", ev => {
+        let name = gameName.value.trim();
+        if (name === "") {
+            gamesError.textContent = "Name the game to save it";
+            return;
+        }
+        if (store.load(name) !== null && !window.confirm("Replace the saved game \"" + name + "\"?")) {
+            return;
+        }
+        storeGame(() => store.save(name, game.snapshot()));
+        listGames(name);
+    });
+    document.getElementById("loadgame").addEventListener("click", ev => {
+        let snap = store.load(gameList.value);
+        if (snap === null) {
+            return;
+        }
+        try {
+            game.restore(snap);
+            quitProblems();
+            gamesDlg.close();
+        } catch (e) {
+            if (!(e instanceof SgfError)) {
+                throw e;
+            }
+            gamesError.textContent = gameList.value + ": " + e.message;
+        }
+    });
+    document.getElementById("copygame").addEventListener("click", ev => {
+        storeGame(() => listGames(store.duplicate(gameList.value)));
+    });
+    document.getElementById("deletegame").addEventListener("click", ev => {
+        let name = gameList.value;
+        if (store.load(name) !== null && window.confirm("Delete the saved game \"" + name + "\"?")) {
+            store.remove(name);
+            listGames();
+        }
+    });
+    document.getElementById("closegames").addEventListener("click", ev => {
+        gamesDlg.close();
+    });
 
-    // actual gameplay
-    canvas.addEventListener("click", ev => {
-        let p = game.board.pxCoord(ev.offsetX, ev.offsetY);
-        if (game.mode === Mode.PLAY) {
-            if (game.board.get(p) === null) {
-                game.board.set(p, game.turn);
-                let captured = game.board.capture(p);
-                if (captured.length === 0 && game.board.noLibs(p).length !== 0) {
-                    game.board.set(p, null);
+    // the computer opponent thinks in a worker, then plays just as a click would
+    let computer = document.getElementById("computer");
+    let playouts = document.getElementById("playouts");
+    let worker = null;
+    let request = 0;
+    function botTurn() {
+        return computer.value !== "off" && game.turn === parseInt(computer.value, 10) &&
+            game.mode === Mode.PLAY && game.placing === 0 && !timeUp() && tsumego === null;
+    }
+    function think() {
+        if (worker !== null) {
+            worker.terminate();
+            worker = null;
+        }
+        if (!botTurn()) {
+            return;
+        }
+        let id = ++request;
+        if (gtp !== null) {
+            gtp.genmove(game.turn).then(p => {
+                if (id !== request || !botTurn()) {
                     return;
                 }
-                //ko rule
-                if (
-                    captured.length === 1 && game.undoSt.length > 0 &&
-                    game.undoSt[game.undoSt.length-1].captured.length === 1
-                ) {
-                    let lm = game.undoSt[game.undoSt.length-1];
-                    let lcp = lm.captured[0];
-                    let cp = captured[0];
-                    if (
-                        p.x === lcp.x && p.y === lcp.y && 
-                        cp.x === lm.p.x && cp.y === lm.p.y
-                    ) {
-                        game.board.set(p, null);
-                        return;
-                    }
+                if (p === "resign") {
+                    game.controls.showMessage("The engine resigns");
+                } else if (p === null) {
+                    game.pass();
+                } else if (game.move(p) !== null) {
+                    game.controls.showMessage("The engine chose an illegal move, " + gtpVertex(p, game.board.size));
                 }
+            }, e => game.controls.showMessage("Engine: " + e.message));
+            game.controls.showMessage("Engine is thinking…");
+            return;
+        }
+        worker = new Worker("goban-worker.js");
+        worker.onmessage = ev => {
+            if (ev.data.id !== request) {
+                return;
+            }
+            worker.terminate();
+            worker = null;
+            if (ev.data.error !== undefined) {
+                game.controls.showMessage("The computer could not choose a move: " + ev.data.error);
+            } else if (ev.data.p === null) {
+                game.pass();
+            } else {
+                game.move(new Point(ev.data.p.x, ev.data.p.y));
+            }
+        };
+        // e.g. if the worker's script cannot be loaded
+        worker.onerror = ev => {
+            if (id !== request) {
+                return;
+            }
+            worker.terminate();
+            worker = null;
+            game.controls.showMessage("The computer could not choose a move: " + (ev.message || "the worker failed"));
+        };
+        let last = game.node.move;
+        worker.postMessage({
+            id: id,
+            size: game.board.size,
+            state: game.board.state,
+            turn: game.turn,
+            komi: game.komi,
+            suicide: game.rules.suicide,
+            playouts: Math.max(1, parseInt(playouts.value, 10) || 1),
+            candidates: game.legalMoves(),
+            passOk: last !== null && last.p === null,
+        });
+        game.controls.showMessage("Computer is thinking…");
+    }
+    game.addListener(think);
+    computer.addEventListener("change", think);
 
-                // 25 Sept 2019: fix two-turn bug where you can move, undo, move, redo
-                game.redoSt = [];
+    // a GTP engine, reached through goban-gtp.js, may stand in for the computer
+    let gtpUrl = document.getElementById("gtpurl");
+    let gtpBtn = document.getElementById(Btn.GTP);
+    let gtp = null;
+    let socket = null;
+    gtpBtn.addEventListener("click", ev => {
+        if (socket !== null) {
+            socket.close();
+            return;
+        }
+        let ws = new WebSocket(gtpUrl.value);
+        let client = new GtpClient(text => ws.send(text));
+        client.onerror = e => game.controls.showMessage("Engine: " + e.message);
+        socket = ws;
+        gtpBtn.textContent = "disconnect";
+        ws.onmessage = ev => client.receive(ev.data);
+        ws.onopen = ev => {
+            gtp = client;
+            // the engine must hear of each move before it is asked for a reply
+            game.removeListener(think);
+            client.attach(game).then(think, client.onerror);
+            game.addListener(think);
+        };
+        ws.onclose = ev => {
+            client.detach();
+            if (gtp === client) {
+                gtp = null;
+                game.controls.showMessage("Engine disconnected");
+            } else {
+                game.controls.showMessage("Could not connect to " + gtpUrl.value);
+            }
+            socket = null;
+            gtpBtn.textContent = "connect engine";
+            think();
+        };
+    });
+    game.addListener(type => {
+        if (type === "score" && game.mode === Mode.SCORE && gtp !== null) {
+            gtp.finalScore().then(res => {
+                if (game.mode === Mode.SCORE) {
+                    game.controls.showMessage("Click groups to mark them dead — the engine counts " + res);
+                }
+            }, gtp.onerror);
+        }
+    });
 
-                game.redoSt.push({player: game.turn, p: p, captured: captured});
-                game.redo();
+    // actual gameplay, by mouse or by keyboard cursor
+    function refuse(p, reason) {
+        let msg = game.explain(reason);
+        game.controls.showMessage(msg);
+        game.controls.announce(pointName(p, game.board.size) + ": " + msg);
+    }
+    let marks = {};
+    marks[Edit.TRIANGLE] = Markup.TRIANGLE;
+    marks[Edit.SQUARE] = Markup.SQUARE;
+    marks[Edit.CIRCLE] = Markup.CIRCLE;
+    marks[Edit.CROSS] = Markup.CROSS;
+    marks[Edit.LETTER] = Markup.LABEL;
+    marks[Edit.NUMBER] = Markup.LABEL;
+    function playAt(p) {
+        if (game.board.get(p) === undefined) {
+            return;
+        }
+        if (game.mode === Mode.PLAY && game.placing > 0) {
+            game.placeHandicap(p);
+        } else if (game.mode === Mode.PLAY && tsumego !== null) {
+            let reason = tsumego.answer(p);
+            if (reason !== null) {
+                refuse(p, reason);
+            } else {
+                showProblem();
+            }
+            if (tsumego.status === "right") {
+                try {
+                    store.saveSolved(problemSet, Array.from(tsumego.solved));
+                } catch (e) {
+                    game.controls.showMessage("The solved problem could not be recorded: " + e.message);
+                }
+            }
+        } else if (game.mode === Mode.PLAY) {
+            if (timeUp()) {
+                game.controls.showMessage(((clock.flagged() === Player.B) ? "Black" : "White") + " has lost on time");
+            } else if (!botTurn()) {
+                let reason = game.move(p);
+                if (reason !== null) {
+                    refuse(p, reason);
+                }
             }
+        } else if (game.mode === Mode.SCORE) {
+            game.toggleDead(p);
+        } else if (game.mode == Mode.EDIT && game.editMode in marks) {
+            let type = marks[game.editMode];
+            let text = (type === Markup.LABEL) ? game.nextLabel(game.editMode === Edit.NUMBER) : undefined;
+            game.mark(p, type, text);
         } else if (game.mode == Mode.EDIT) {
             if (game.editMode === Edit.ADD) {
-                game.board.set(p, game.turn);
-                game.board.drawStone(game.turn, p);
-            } else {
-                game.board.set(p, null);
-                game.board.eraseStone(p);
+                let reason = game.checkSetup(p, game.turn);
+                if (reason !== null) {
+                    refuse(p, reason);
+                    return;
+                }
             }
-            game.clearHist();
+            game.edit({stones: [{p: p, player: (game.editMode === Edit.ADD) ? game.turn : null}]});
+        }
+    }
+    document.getElementById("coords").addEventListener("change", ev => {
+        game.board.coords = ev.target.checked;
+        game.redraw();
+    });
+    document.getElementById("numbers").addEventListener("change", ev => {
+        game.showNumbers = ev.target.checked;
+        game.redraw();
+    });
+    document.getElementById("liberties").addEventListener("change", ev => {
+        game.showLiberties = ev.target.checked;
+        game.redraw();
+    });
+    document.getElementById("atari").addEventListener("change", ev => {
+        game.showAtari = ev.target.checked;
+        game.redraw();
+    });
+    document.getElementById("influence").addEventListener("change", ev => {
+        game.showEstimate = ev.target.checked;
+        game.redraw();
+        game.refreshControls();
+    });
+
+    // in touch mode the board is shown magnified around the point aimed at
+    let touchSel = document.getElementById("touch");
+    let touch = new Touch(game.board);
+    function showAim() {
+        game.setAim(touch.aim);
+        (touch.aim === null) ? game.controls.disableButton(Btn.CONFIRM) : game.controls.enableButton(Btn.CONFIRM);
+    }
+    function setTouchMode(mode) {
+        touchSel.value = mode;
+        canvas.style.touchAction = (mode === "off") ? "" : "none";
+        document.getElementById(Btn.CONFIRM).hidden = (mode !== "confirm");
+        touch.setMode(mode);
+        showAim();
+    }
+    setTouchMode(store.settings().touch || "off");
+    touchSel.addEventListener("change", ev => {
+        setTouchMode(touchSel.value);
+        try {
+            store.saveSetting("touch", touchSel.value);
+        } catch (e) {
+            game.controls.showMessage("The touch setting could not be saved: " + e.message);
+        }
+    });
+    // the point aimed at may not be on a new board
+    game.addListener(type => {
+        if (type === "new" || type === "load") {
+            touch.stop();
+        }
+    });
+    canvas.addEventListener("pointerdown", ev => {
+        if (touch.press(ev)) {
+            canvas.setPointerCapture(ev.pointerId);
+            showAim();
+            ev.preventDefault();
+        }
+    });
+    canvas.addEventListener("pointermove", ev => {
+        if (touch.move(ev)) {
+            showAim();
+        } else if (ev.pointerType === "mouse") {
+            let p = game.board.pxCoord(ev.offsetX, ev.offsetY);
+            let off = game.board.get(p) === undefined || (game.mode === Mode.PLAY && botTurn());
+            game.setHover((off) ? null : p);
+        }
+    });
+    canvas.addEventListener("pointerup", ev => {
+        let p = touch.release(ev);
+        showAim();
+        if (p !== null) {
+            playAt(p);
+        }
+    });
+    canvas.addEventListener("pointercancel", ev => {
+        touch.cancel(ev);
+        showAim();
+    });
+    document.getElementById(Btn.CONFIRM).addEventListener("click", ev => {
+        let p = touch.confirm();
+        if (p !== null) {
+            showAim();
+            playAt(p);
         }
     });
+    canvas.addEventListener("keydown", ev => {
+        let arrows = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]};
+        if (ev.key in arrows) {
+            game.moveCursor(...arrows[ev.key]);
+        } else if ((ev.key === "Enter" || ev.key === " ") && game.cursor !== null) {
+            playAt(game.cursor);
+        } else {
+            return;
+        }
+        ev.preventDefault();
+    });
+    canvas.addEventListener("pointerleave", ev => {
+        game.setHover(null);
+    });
+    canvas.addEventListener("blur", ev => {
+        game.hideCursor();
+    });
+
+    // keyboard shortcuts, and the keyboard for controls which are not real buttons
+    let shortcuts = {u: Btn.UNDO, r: Btn.REDO, p: Btn.PASS, m: Btn.MODE};
+    document.addEventListener("keydown", ev => {
+        let t = ev.target;
+        if (ev.ctrlKey || ev.metaKey || ev.altKey || ["INPUT", "SELECT", "TEXTAREA"].includes(t.tagName)) {
+            return;
+        }
+        if ((ev.key === "Enter" || ev.key === " ") && t.getAttribute("role") === "button") {
+            t.click();
+        } else if (ev.key.toLowerCase() in shortcuts && document.querySelector("dialog[open]") === null) {
+            document.getElementById(shortcuts[ev.key.toLowerCase()]).click();
+        } else {
+            return;
+        }
+        ev.preventDefault();
+    });
+}
+
+if (typeof window !== "undefined") {
+    window.addEventListener("load", ev => {
+        let canvas = document.getElementById("goban");
+        goban(canvas);
+    });
 }
 
-window.addEventListener("load", ev => {
-    let canvas = document.getElementById("goban");
-    goban(canvas);
-});
\ No newline at end of file
+// the rules engine may also be used outside of a browser, e.g. from node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Board, Bot, Clock, Edit, Engine, GameStore, GtpClient, GtpError, Illegal, Markup, MaxSize,
+        MinSize, Mode, MoveNode, Player, Point, Position, Rules, SgfError, Themes, Timing, Transform,
+        Touch, Tsumego, gtpPoint, gtpVertex, parseLink, parseSgf, pointName, sgfCoord, sgfPoint,
+    };
+}
\ No newline at end of file
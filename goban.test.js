@@ -0,0 +1,965 @@
+/**
+ * Tests for the goban.js rules engine. Run with `node --test`.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    Board, Bot, Clock, Engine, GameStore, GtpClient, GtpError, Illegal, Markup, Mode, Player, Point, Position, Rules,
+    SgfError, Timing, Touch, Transform, Tsumego, gtpPoint, gtpVertex, pointName, sgfPoint,
+} = require("./goban.js");
+const {allowedCommand, allowedOrigin, wsFrame, wsParse} = require("./goban-gtp.js");
+
+/**
+ * Create an engine from an SGF record, normally of a setup position.
+ * @param {string} sgf The SGF record.
+ * @returns {Engine} The engine.
+ */
+function load(sgf) {
+    let e = new Engine(19);
+    e.loadSgf(sgf);
+    return e;
+}
+
+/**
+ * Play a sequence of moves, failing if any is illegal.
+ * @param {Engine} e The engine on which to play.
+ * @param {string[]} moves The SGF coordinates of each move, or "" to pass.
+ */
+function playAll(e, moves) {
+    moves.forEach(v => {
+        if (v === "") {
+            e.pass();
+        } else {
+            assert.strictEqual(e.move(sgfPoint(v, e.board.size)), null, "move " + v);
+        }
+    });
+}
+
+/**
+ * Get the player at an SGF coordinate.
+ */
+function at(e, v) {
+    return e.board.get(sgfPoint(v, e.board.size));
+}
+
+// B at ba, ab, bc, cb; W at ca, db, cc. White may take the ko at bb.
+const KO = "(;SZ[5]AB[ba][ab][bc][cb]AW[ca][db][cc]PL[W]";
+
+test("an occupied point may not be played", () => {
+    let e = load("(;SZ[9]AW[aa]PL[B])");
+    assert.strictEqual(e.check(new Point(1, 1)).reason, Illegal.OCCUPIED);
+});
+
+test("a single stone is captured", () => {
+    let e = load("(;SZ[9]AB[ba]AW[aa]PL[B])");
+    let res = e.check(sgfPoint("ab", 9));
+    assert.deepStrictEqual(res.move.captured, [new Point(1, 1)]);
+    playAll(e, ["ab"]);
+    assert.strictEqual(at(e, "aa"), null);
+    assert.strictEqual(e.captured[Player.B], 1);
+});
+
+test("a group is captured once even when touched twice", () => {
+    // W at aa, ba; B at ca, bb. Black at ab touches aa; the group is aa, ba.
+    let e = load("(;SZ[9]AB[ca][bb]AW[aa][ba]PL[B])");
+    playAll(e, ["ab"]);
+    assert.strictEqual(e.captured[Player.B], 2);
+    assert.strictEqual(at(e, "aa"), null);
+    assert.strictEqual(at(e, "ba"), null);
+});
+
+test("a group touched at two points is listed once", () => {
+    // W group aa, ba, ab has its last liberty at bb, which touches ba and ab
+    let e = load("(;SZ[9]AB[ca][ac][cb][bc]AW[aa][ba][ab]PL[B])");
+    let res = e.check(sgfPoint("bb", 9));
+    assert.strictEqual(res.move.captured.length, 3);
+});
+
+test("several groups are captured by one move", () => {
+    // W at ba and ab are separate stones whose last liberty is bb
+    let e = load("(;SZ[9]AB[aa][ca][ac][cb][bc]AW[ba][ab]PL[B])");
+    let res = e.check(sgfPoint("bb", 9));
+    assert.strictEqual(res.move.captured.length, 2);
+});
+
+test("suicide is illegal", () => {
+    let e = load("(;SZ[9]AB[ba][ab]PL[W])");
+    assert.strictEqual(e.check(new Point(1, 1)).reason, Illegal.SUICIDE);
+    assert.strictEqual(e.move(new Point(1, 1)), Illegal.SUICIDE);
+    assert.strictEqual(at(e, "aa"), null);
+    assert.strictEqual(e.turn, Player.W);
+});
+
+test("a capturing move is not suicide", () => {
+    // White at aa has no liberties once placed, but captures Black at ba
+    let e = load("(;SZ[9]AB[ba][ab]AW[ca][bb]PL[W])");
+    assert.strictEqual(e.move(new Point(1, 1)), null);
+    assert.strictEqual(at(e, "aa"), Player.W);
+});
+
+test("multi-stone suicide is legal only under NZ rules", () => {
+    // W at aa fills the last liberty of its own group aa, ba
+    let sgf = "(;SZ[9]AB[ca][bb][ab]AW[ba]PL[W]RU[Japanese])";
+    assert.strictEqual(load(sgf).check(new Point(1, 1)).reason, Illegal.SUICIDE);
+    let e = load(sgf.replace("Japanese", "NZ"));
+    assert.strictEqual(e.move(new Point(1, 1)), null);
+    assert.strictEqual(at(e, "aa"), null);
+    assert.strictEqual(at(e, "ba"), null);
+    assert.strictEqual(e.captured[Player.B], 2);
+    e.undo();
+    assert.strictEqual(at(e, "ba"), Player.W);
+    assert.strictEqual(e.captured[Player.B], 0);
+});
+
+test("single-stone suicide is illegal even under NZ rules", () => {
+    let e = load("(;SZ[9]AB[ba][ab]PL[W]RU[NZ])");
+    assert.strictEqual(e.check(new Point(1, 1)).reason, Illegal.SUICIDE);
+});
+
+test("a ko may not be retaken immediately", () => {
+    for (let rules of ["Japanese", "Chinese", "AGA", "NZ"]) {
+        let e = load(KO + "RU[" + rules + "])");
+        playAll(e, ["bb"]);
+        assert.strictEqual(at(e, "cb"), null);
+        assert.strictEqual(e.move(sgfPoint("cb", 5)), Illegal.KO, rules);
+        // after a ko threat elsewhere it may
+        playAll(e, ["ee", "ed", "cb"]);
+        assert.strictEqual(at(e, "bb"), null, rules);
+    }
+});
+
+test("superko forbids retaking a ko after both players pass", () => {
+    // the retake repeats the position from before White took the ko, which
+    // only simple ko allows
+    let cases = [["Japanese", undefined], ["Chinese", Illegal.SUPERKO], ["AGA", Illegal.SUPERKO]];
+    for (let [rules, reason] of cases) {
+        let e = load(KO + "RU[" + rules + "])");
+        playAll(e, ["bb"]);
+        e.pass();
+        e.pass();
+        e.resume();
+        assert.strictEqual(e.check(sgfPoint("cb", 5)).reason, reason, rules);
+    }
+});
+
+test("setup stones may not be left without liberties", () => {
+    let e = load("(;SZ[9]AB[ba][ab]AW[ca][bb])");
+    assert.strictEqual(e.checkSetup(new Point(1, 1), Player.W), Illegal.SUICIDE);
+    // Black at aa joins its stones, which keep a liberty at ac
+    assert.strictEqual(e.checkSetup(new Point(1, 1), Player.B), null);
+    assert.strictEqual(e.checkSetup(new Point(2, 1), Player.W), Illegal.OCCUPIED);
+    // White at ac would take the last liberty of Black's stone at ab
+    let e2 = load("(;SZ[9]AB[ab]AW[aa][bb])");
+    assert.strictEqual(e2.checkSetup(sgfPoint("ac", 9), Player.W), Illegal.CAPTURE);
+    assert.strictEqual(e2.board.get(sgfPoint("ac", 9)), null);
+});
+
+test("undo restores the position, captures and turn", () => {
+    let e = load(KO + ")");
+    let before = e.board.state.slice();
+    let hash = e.board.hash;
+    playAll(e, ["bb"]);
+    assert.strictEqual(e.captured[Player.W], 1);
+    e.undo();
+    assert.deepStrictEqual(e.board.state, before);
+    assert.strictEqual(e.board.hash, hash);
+    assert.strictEqual(e.captured[Player.W], 0);
+    assert.strictEqual(e.turn, Player.W);
+    e.redo();
+    assert.strictEqual(at(e, "cb"), null);
+    assert.strictEqual(e.turn, Player.B);
+});
+
+test("edits are kept in the game tree and undone like moves", () => {
+    let e = new Engine(9);
+    playAll(e, ["cc", "dd"]);
+    let events = [];
+    e.addListener(type => events.push(type));
+    e.edit({stones: [{p: sgfPoint("cc", 9), player: null}, {p: sgfPoint("ee", 9), player: Player.W}]});
+    e.edit({turn: Player.W});
+    e.edit({prisoners: [2, 0]});
+    e.edit({stones: [{p: sgfPoint("aa", 9), player: null}]});
+    assert.deepStrictEqual(events, ["edit", "edit", "edit"]);
+    assert.strictEqual(e.moveNumber(), 5);
+    assert.strictEqual(at(e, "cc"), null);
+    assert.strictEqual(e.turn, Player.W);
+    assert.strictEqual(e.captured[Player.B], 2);
+    playAll(e, ["ff"]);
+    assert.strictEqual(at(e, "ff"), Player.W);
+    assert.deepStrictEqual(Array.from(e.moveNumbers().values()), [2, 3]);
+
+    let sgf = e.toSgf();
+    assert.match(sgf, /;B\[cc\];W\[dd\];AW\[ee\]AE\[cc\];PL\[W\];XB\[2\];W\[ff\]/);
+    let copy = load(sgf);
+    assert.strictEqual(copy.toSgf(), sgf);
+    assert.deepStrictEqual(copy.board.state, e.board.state);
+    assert.strictEqual(copy.captured[Player.B], 2);
+
+    for (let n = 0; n < 3; n++) {
+        e.undo();
+    }
+    assert.deepStrictEqual(events.slice(-3), ["undo", "undo", "undo"]);
+    assert.strictEqual(e.turn, Player.B);
+    assert.strictEqual(e.captured[Player.B], 0);
+    e.undo();
+    assert.strictEqual(at(e, "cc"), Player.B);
+    assert.strictEqual(at(e, "ee"), null);
+    e.goTo(6);
+    assert.deepStrictEqual(e.board.state, copy.board.state);
+    // a link starts from the last edit
+    assert.strictEqual(e.toLink(), "sz=9&aw=ddee&pl=w&km=6.5&mv=ff&at=1");
+    e.undo();
+    e.undo();
+    e.undo();
+    e.play({player: Player.B, p: sgfPoint("gg", 9), captured: [], suicided: []});
+    assert.strictEqual(e.node.parent.children.length, 2);
+});
+
+test("a move in a node with setup stones follows the setup", () => {
+    let e = load("(;SZ[9];B[aa]AW[bb]C[both];W[cc])");
+    assert.strictEqual(at(e, "aa"), Player.B);
+    assert.strictEqual(at(e, "bb"), Player.W);
+    assert.strictEqual(e.moveNumber(), 3);
+    e.undo();
+    assert.strictEqual(e.node.move.player, Player.B);
+    assert.strictEqual(e.node.comment, "both");
+    e.undo();
+    assert.strictEqual(at(e, "aa"), null);
+    assert.strictEqual(at(e, "bb"), Player.W);
+    e.undo();
+    assert.strictEqual(at(e, "bb"), null);
+    assert.match(e.toSgf(), /;AW\[bb\];B\[aa\]C\[both\];W\[cc\]/);
+});
+
+test("jumping along the line of play rebuilds each position once", () => {
+    let e = load(KO + ")");
+    playAll(e, ["bb", "ee", "ed", "cb"]);
+    let states = [];
+    e.goTo(0);
+    for (let n = 0; n <= 4; n++) {
+        states.push({state: e.board.state.slice(), captured: {...e.captured}, turn: e.turn});
+        e.redo();
+    }
+    let events = [];
+    e.addListener(type => events.push(type));
+    [3, 1, 4, 0, 2].forEach(n => {
+        e.goTo(n);
+        assert.strictEqual(e.moveNumber(), n);
+        assert.deepStrictEqual({state: e.board.state, captured: e.captured, turn: e.turn}, states[n]);
+    });
+    assert.deepStrictEqual(events, ["jump", "jump", "jump", "jump", "jump"]);
+    e.goTo(99);
+    assert.strictEqual(e.moveNumber(), 4);
+    assert.strictEqual(e.lineLength(), 4);
+});
+
+test("groups and liberties are kept up to date through play, undo and edits", () => {
+    let e = new Engine(7);
+    // a fixed pseudo-random game, long enough for captures and undos
+    let seed = 7;
+    let rand = n => (seed = seed * 16807 % 2147483647) % n;
+    let sorted = xs => Array.from(xs).sort((a, b) => a - b);
+    let check = () => {
+        // a copy finds every group afresh
+        let fresh = e.board.copy();
+        e.board.state.forEach((v, i) => {
+            let kept = e.board.groupAt(i);
+            let found = fresh.groupAt(i);
+            assert.deepStrictEqual(kept && [sorted(kept.stones), sorted(kept.libs)],
+                found && [sorted(found.stones), sorted(found.libs)]);
+        });
+    };
+    for (let n = 0; n < 150; n++) {
+        let moves = e.legalMoves();
+        if (rand(6) === 0 && e.node !== e.root) {
+            e.undo();
+        } else if (moves.length > 0) {
+            e.move(moves[rand(moves.length)]);
+        }
+        check();
+    }
+    // stones changed by hand, as in edit mode
+    e.board.state.forEach((v, i) => {
+        if (v !== null && rand(4) === 0) {
+            e.board.set(e.board.point(i), (rand(2) === 0) ? null : 1 - v);
+        }
+    });
+    check();
+    let corner = load("(;SZ[9]AB[aa][ba]AW[ca])");
+    assert.strictEqual(corner.board.liberties(new Point(1, 1)), 2);
+    assert.strictEqual(corner.board.liberties(new Point(3, 1)), 2);
+    assert.strictEqual(corner.board.liberties(new Point(5, 5)), 0);
+});
+
+test("transformations carry the whole game with them", () => {
+    let e = load(KO + "TR[aa])");
+    playAll(e, ["bb", "ee"]);
+    e.edit({stones: [{p: sgfPoint("ae", 5), player: Player.W}], prisoners: [0, 1]});
+    e.undo();
+    let sgf = e.toSgf();
+    let snap = e.snapshot();
+    let events = [];
+    e.addListener((type, t) => events.push(type));
+
+    e.transform(Transform.ROTATE90);
+    assert.strictEqual(at(e, "ea"), null);
+    assert.strictEqual(at(e, "db"), Player.W);
+    assert.strictEqual(e.root.markup.get(e.board.index(sgfPoint("ea", 5))).type, Markup.TRIANGLE);
+    assert.deepStrictEqual(e.node.move.p, sgfPoint("ae", 5));
+    assert.deepStrictEqual(e.node.parent.move.captured, [sgfPoint("dc", 5)]);
+    e.undo();
+    e.undo();
+    assert.strictEqual(at(e, "dc"), Player.B);
+    assert.strictEqual(e.captured[Player.W], 0);
+    e.goTo(3);
+    assert.strictEqual(at(e, "aa"), Player.W);
+    assert.strictEqual(e.captured[Player.W], 2);
+    e.goTo(2);
+
+    e.transform(Transform.SWAP);
+    assert.strictEqual(at(e, "db"), Player.B);
+    assert.strictEqual(e.turn, Player.B);
+    assert.strictEqual(e.captured[Player.B], 1);
+    e.redo();
+    assert.strictEqual(e.captured[Player.B], 2);
+    e.undo();
+
+    // these undo the two above, and then come to nothing
+    [Transform.ROTATE90, Transform.ROTATE180, Transform.SWAP].forEach(t => e.transform(t));
+    assert.strictEqual(e.toSgf(), sgf);
+    assert.deepStrictEqual(e.snapshot(), snap);
+    [Transform.FLIPD, Transform.ROTATE90, Transform.FLIPH].forEach(t => e.transform(t));
+    assert.strictEqual(e.toSgf(), sgf);
+    assert.strictEqual(events.filter(type => type === "transform").length, 8);
+});
+
+test("territory is estimated from the influence of the stones", () => {
+    // a wall for each player, with three open columns between them
+    let walls = "AB" + "abcdefghi".split("").map(y => "[c" + y + "]").join("") +
+        "AW" + "abcdefghi".split("").map(y => "[g" + y + "]").join("");
+    let e = load("(;SZ[9]KM[0]" + walls + ")");
+    let est = e.estimate();
+    assert.strictEqual(est.territory[Player.B].length, 18);
+    assert.strictEqual(est.territory[Player.W].length, 18);
+    assert.ok(est.territory[Player.B].every(p => p.x < 3));
+    assert.ok(est.influence[Player.B].every(p => p.x === 4));
+    assert.ok(!est.influence[Player.W].some(p => p.x === 5));
+    // influence is counted too
+    assert.strictEqual(est.points[Player.B], 18 + est.influence[Player.B].length);
+    assert.strictEqual(est.points[Player.B], est.points[Player.W]);
+    playAll(e, ["ee"]);
+    est = e.estimate();
+    assert.ok(est.points[Player.B] > est.points[Player.W]);
+});
+
+test("stones are numbered by the move which placed them", () => {
+    let e = load(KO + ")");
+    playAll(e, ["bb", "ee", "ed", "cb"]);
+    let num = v => e.moveNumbers().get(e.board.index(sgfPoint(v, 5)));
+    // the ko was taken back, so the first capturing stone is gone
+    assert.strictEqual(num("bb"), undefined);
+    assert.strictEqual(num("cb"), 4);
+    assert.strictEqual(num("ee"), 2);
+    assert.strictEqual(num("ba"), undefined);
+    e.undo();
+    assert.strictEqual(num("bb"), 1);
+    assert.strictEqual(num("cb"), undefined);
+});
+
+test("the position hash does not depend on the order of play", () => {
+    let a = new Position(9);
+    let b = new Position(9);
+    a.set(new Point(1, 1), Player.B);
+    a.set(new Point(2, 2), Player.W);
+    b.set(new Point(2, 2), Player.W);
+    b.set(new Point(3, 3), Player.B);
+    b.set(new Point(3, 3), null);
+    b.set(new Point(1, 1), Player.B);
+    assert.strictEqual(a.hash, b.hash);
+});
+
+test("games survive a round trip through SGF", () => {
+    let e = new Engine(9);
+    e.newGame(9, {handicap: 2, rules: Rules.CHINESE, komi: 0.5});
+    playAll(e, ["cc", "dd", "cd"]);
+    e.undo();
+    playAll(e, ["dc"]);
+    let sgf = e.toSgf();
+    let e2 = load(sgf);
+    assert.strictEqual(e2.toSgf(), sgf);
+    // the main line is played out, so switch to the variation that was played last
+    e2.switchVariation(1);
+    assert.deepStrictEqual(e2.board.state, e.board.state);
+    assert.strictEqual(e2.rules, Rules.CHINESE);
+    assert.strictEqual(e2.turn, e.turn);
+});
+
+test("links rebuild the setup, line of play and move reached", () => {
+    let e = new Engine(9);
+    e.newGame(9, {handicap: 2, komi: 0.5});
+    playAll(e, ["cc", "", "dd", "cd"]);
+    // Black plays twice, as may happen in a record set up by hand
+    e.play({player: Player.B, p: sgfPoint("ee", 9), captured: [], suicided: []});
+    e.undo();
+    e.undo();
+    let link = e.toLink();
+    assert.strictEqual(link, "sz=9&ab=gccg&pl=w&km=0.5&mv=cc..ddcd!ee&at=3");
+    let e2 = new Engine(19);
+    e2.loadLink(link);
+    assert.deepStrictEqual(e2.board.state, e.board.state);
+    assert.strictEqual(e2.turn, e.turn);
+    assert.strictEqual(e2.komi, 0.5);
+    assert.strictEqual(e2.lineLength(), 5);
+    assert.strictEqual(e2.toLink(), link);
+    // a multi-stone suicide loads only under the rules which allow it
+    let nz = load("(;SZ[9]AB[ca][bb][ab]AW[ba]PL[W]RU[NZ])");
+    nz.move(new Point(1, 1));
+    assert.strictEqual(nz.toLink(), "sz=9&ab=caabbb&aw=ba&pl=w&ru=nz&mv=aa&at=1");
+    let e3 = new Engine(19);
+    e3.loadLink(nz.toLink());
+    assert.strictEqual(e3.rules, Rules.NZ);
+    assert.deepStrictEqual(e3.board.state, nz.board.state);
+    assert.throws(() => new Engine(19).loadLink(nz.toLink().replace("ru=nz", "ru=japanese")), SgfError);
+});
+
+test("diagrams are drawn from the position, marks and last move", () => {
+    let e = load("(;SZ[5]AB[bb]AW[cb]PL[W];W[dd]TR[bb]LB[bd:A])");
+    assert.strictEqual(e.toAscii(), [
+        "$$B",
+        "$$ +-----------+",
+        "$$ | . . . . . |",
+        "$$ | . Y O . . |",
+        "$$ | . . . . . |",
+        "$$ | . a . W . |",
+        "$$ | . . . . . |",
+        "$$ +-----------+",
+        "",
+    ].join("\n"));
+    // a region away from the right and bottom edges has no border there
+    assert.strictEqual(e.toAscii(new Point(3, 3), new Point(1, 1), true),
+        "$$Bc5\n$$ +------\n$$ | . . .\n$$ | . Y O\n$$ | . . .\n");
+    let svg = e.toSvg(new Point(1, 1), new Point(3, 3));
+    assert.strictEqual((svg.match(/<circle [^>]*r="11"/g) || []).length, 2);
+    assert.match(svg, /<polygon [^>]*stroke="#ffffff"/);
+    assert.doesNotMatch(svg, />A</);
+});
+
+test("malformed links are rejected", () => {
+    for (let link of ["", "sz=x", "sz=9&ab=a", "sz=9&pl=x", "sz=9&mv=ccd", "sz=9&mv=cc!", "sz=9&mv=cc&at=-1", "sz=9&mv=cccc",
+        "sz=9&ru=x", "sz=9&ru=NZ"]) {
+        assert.throws(() => new Engine(19).loadLink(link), SgfError, JSON.stringify(link));
+    }
+});
+
+test("a snapshot restores the line of play, mode and prisoners", () => {
+    let e = new Engine(9);
+    playAll(e, ["cc", "dd", "cd"]);
+    e.undo();
+    playAll(e, ["dc", "", ""]);
+    e.captured[Player.W] += 3;
+    e.toggleDead(sgfPoint("dd", 9));
+    let snap = JSON.parse(JSON.stringify(e.snapshot()));
+    let e2 = new Engine(19);
+    let events = [];
+    e2.addListener(type => events.push(type));
+    e2.restore(snap);
+    assert.deepStrictEqual(events, ["load"]);
+    assert.deepStrictEqual(e2.board.state, e.board.state);
+    assert.deepStrictEqual(e2.captured, e.captured);
+    assert.strictEqual(e2.mode, Mode.SCORE);
+    assert.strictEqual(e2.result(), e.result());
+    assert.strictEqual(e2.node.parent.parent.parent.children.length, 2);
+    e2.resume();
+    e2.undo();
+    e2.undo();
+    assert.strictEqual(e2.turn, Player.W);
+});
+test("damaged snapshots are rejected", () => {
+    let e = new Engine(9);
+    playAll(e, ["cc", "dd"]);
+    let good = JSON.parse(JSON.stringify(e.snapshot()));
+    let bad = [null, "x", {}, {...good, sgf: 1}, {...good, path: undefined}, {...good, path: "01"},
+        {...good, path: [-1]}, {...good, dead: [0.5]}, {...good, turn: 2}, {...good, mode: "play"}, {...good, placing: null}];
+    for (let snap of bad) {
+        assert.throws(() => new Engine(19).restore(snap), SgfError, JSON.stringify(snap));
+    }
+    let e2 = new Engine(19);
+    e2.restore({...good, dead: [0, 1000]});
+    assert.deepStrictEqual(e2.board.state, e.board.state);
+    assert.strictEqual(e2.dead.size, 0);
+});
+
+
+test("saved games can be listed, copied and deleted", () => {
+    let items = new Map();
+    let storage = {getItem: k => (items.has(k) ? items.get(k) : null), setItem: (k, v) => items.set(k, v)};
+    let store = new GameStore(storage);
+    assert.strictEqual(store.autoload(), null);
+    let e = new Engine(9);
+    playAll(e, ["cc"]);
+    store.autosave(e.snapshot());
+    assert.deepStrictEqual(store.autoload(), e.snapshot());
+    store.save("__proto__", e.snapshot());
+    store.save("game", new Engine(5).snapshot());
+    assert.strictEqual(store.duplicate("__proto__"), "__proto__ (copy)");
+    assert.strictEqual(store.duplicate("__proto__"), "__proto__ (copy 2)");
+    assert.strictEqual(store.duplicate("missing"), null);
+    assert.deepStrictEqual(store.list().map(g => g.name).sort(),
+        ["__proto__", "__proto__ (copy 2)", "__proto__ (copy)", "game"]);
+    assert.deepStrictEqual(store.load("__proto__ (copy)"), e.snapshot());
+    store.remove("__proto__");
+    assert.strictEqual(store.load("__proto__"), null);
+    assert.strictEqual(store.list().length, 3);
+    items.set("goban.games", "{not json");
+    assert.deepStrictEqual(store.list(), []);
+});
+
+test("settings are kept one at a time, and unreadable ones forgotten", () => {
+    let items = new Map();
+    let storage = {getItem: k => (items.has(k) ? items.get(k) : null), setItem: (k, v) => items.set(k, v)};
+    let store = new GameStore(storage);
+    assert.deepStrictEqual(store.settings(), {});
+    store.saveSetting("theme", "dark");
+    store.saveSetting("other", 1);
+    assert.deepStrictEqual(store.settings(), {theme: "dark", other: 1});
+    items.set("goban.settings", "3");
+    assert.deepStrictEqual(store.settings(), {});
+});
+
+test("marks and comments survive a round trip through SGF", () => {
+    let e = load("(;SZ[9]TR[aa:ab]C[setup];B[cc]LB[cc:A][dd:1]C[a \\] bracket];W[dd]CR[ee])");
+    assert.strictEqual(e.root.comment, "setup");
+    assert.strictEqual(e.root.markup.size, 2);
+    let b = e.root.next();
+    assert.strictEqual(b.comment, "a ] bracket");
+    assert.deepStrictEqual(b.markup.get(e.board.index(sgfPoint("dd", 9))), {type: Markup.LABEL, text: "1"});
+    assert.strictEqual(load(e.toSgf()).toSgf(), e.toSgf());
+});
+
+test("marks are toggled and labels numbered in turn", () => {
+    let e = new Engine(9);
+    e.mark(new Point(1, 1), Markup.LABEL, e.nextLabel(false));
+    e.mark(new Point(2, 1), Markup.LABEL, e.nextLabel(false));
+    assert.strictEqual(e.nextLabel(false), "C");
+    assert.strictEqual(e.nextLabel(true), "1");
+    e.mark(new Point(1, 1), Markup.LABEL);
+    assert.strictEqual(e.nextLabel(false), "A");
+    e.mark(new Point(3, 3), Markup.CIRCLE);
+    e.mark(new Point(3, 3), Markup.SQUARE);
+    assert.strictEqual(e.root.markup.get(e.board.index(new Point(3, 3))).type, Markup.SQUARE);
+    e.mark(new Point(3, 3), Markup.SQUARE);
+    assert.strictEqual(e.root.markup.size, 1);
+    // changing the setup stones keeps the position's marks
+    e.setComment("note");
+    e.clearHist();
+    assert.strictEqual(e.root.markup.size, 1);
+    assert.strictEqual(e.root.comment, "note");
+});
+
+test("malformed SGF is rejected", () => {
+    for (let sgf of ["", "(;SZ[19]", "(;GM[2])", "(;B[zz])", "(;B[aa];W[aa])", "(;SZ[1])"]) {
+        assert.throws(() => load(sgf), SgfError, JSON.stringify(sgf));
+    }
+});
+
+// Black to kill White's three point eye space along the top edge at aa, ba,
+// ca: ba is right, while aa is wrong, since White takes it and lives
+const PROBLEMS = "(;SZ[5]AB[ea][eb][ac][bc][cc][dc][ec]AW[da][ab][bb][cb][db]PL[B]" +
+    "(;B[ba];W[aa];B[ca]C[RIGHT])(;B[aa];W[ba]))" +
+    "(;SZ[5]AB[aa]PL[W];W[ba])";
+
+test("a problem is solved along a right line", () => {
+    let e = new Engine(19);
+    let t = new Tsumego(e, PROBLEMS);
+    t.open(0);
+    assert.strictEqual(t.solver, Player.B);
+    assert.deepStrictEqual(t.hint(), sgfPoint("ba", 5));
+    assert.strictEqual(t.answer(sgfPoint("ba", 5)), null);
+    // the computer replied
+    assert.strictEqual(at(e, "aa"), Player.W);
+    assert.strictEqual(t.status, "solving");
+    t.answer(sgfPoint("ca", 5));
+    assert.strictEqual(t.status, "right");
+    assert.ok(t.solved.has(0));
+});
+
+test("a problem is failed off the tree or along a wrong line", () => {
+    let e = new Engine(19);
+    let t = new Tsumego(e, PROBLEMS);
+    t.open(0);
+    t.answer(sgfPoint("aa", 5));
+    assert.strictEqual(t.status, "wrong");
+    assert.strictEqual(at(e, "ba"), Player.W);
+    t.undo();
+    assert.strictEqual(e.node, e.root);
+    assert.strictEqual(t.status, "solving");
+    t.answer(sgfPoint("ee", 5));
+    assert.strictEqual(t.status, "wrong");
+    t.rewind();
+    assert.strictEqual(e.root.children.length, 2);
+    // with no RIGHT comments, reaching the end of any line is right
+    t.open(1);
+    assert.strictEqual(t.solver, Player.W);
+    t.answer(sgfPoint("ba", 5));
+    assert.strictEqual(t.status, "right");
+});
+
+test("the computer never replies with a setup node", () => {
+    let e = new Engine(19);
+    let t = new Tsumego(e, "(;SZ[9]AB[aa]AW[ba];B[ca](;AB[ee]C[x])(;W[dd];B[ff]))");
+    t.open(0);
+    assert.strictEqual(t.answer(new Point(3, 1)), null);
+    assert.strictEqual(at(e, "dd"), Player.W);
+    assert.strictEqual(t.status, "solving");
+    assert.deepStrictEqual(t.hint(), sgfPoint("ff", 9));
+});
+
+test("the computer plays one of the candidate moves", () => {
+    let e = load("(;SZ[5]AB[cb][bc][cd]AW[cc]PL[W])");
+    let cands = e.legalMoves();
+    let p = new Bot(50).genmove(e.board, Player.W, {candidates: cands, passOk: false, komi: 0});
+    assert.ok(cands.some(c => c.equals(p)));
+});
+
+test("the computer weighs multi-stone suicide under NZ rules", () => {
+    let e = load("(;SZ[9]AB[ca][bb][ab]AW[ba]PL[W]RU[NZ])");
+    let cands = e.legalMoves();
+    assert.ok(cands.some(c => c.equals(new Point(1, 1))));
+    let opts = {candidates: cands, passOk: false, komi: 7, suicide: e.rules.suicide};
+    let p = new Bot(cands.length * 2).genmove(e.board, Player.W, opts);
+    assert.ok(cands.some(c => c.equals(p)));
+});
+
+test("the computer does not fill its own eyes", () => {
+    // Black's only empty points, aa and cc, are both its eyes
+    let e = load("(;SZ[3]AB[ba][ca][ab][bb][cb][ac][bc]PL[B])");
+    assert.strictEqual(e.legalMoves().length, 2);
+    let p = new Bot(50).genmove(e.board, Player.B, {candidates: e.legalMoves(), passOk: false, komi: 0});
+    assert.strictEqual(p, null);
+});
+
+test("the computer passes when it has no legal move", () => {
+    let e = load("(;SZ[2]AB[aa][bb]PL[W])");
+    let p = new Bot(10).genmove(e.board, Player.W, {candidates: e.legalMoves(), passOk: false, komi: 0});
+    assert.strictEqual(p, null);
+});
+
+/**
+ * Create a GTP client talking to a scripted fake engine, which replies to
+ * every command with success unless told otherwise, and logs them.
+ * @param {Object} [script] Replies (e.g. "= D4" or "? illegal move") by command.
+ * @returns {GtpClient} The client, with the engine's log as its log property.
+ */
+function fakeGtp(script = {}) {
+    let client = new GtpClient(text => {
+        let cmd = text.trim();
+        client.log.push(cmd);
+        let reply = (script[cmd] !== undefined) ? script[cmd] : "=";
+        // reply asynchronously, and in pieces, as a real engine might
+        setImmediate(() => {
+            client.receive(reply.slice(0, 1));
+            client.receive(reply.slice(1) + "\r\n\r\n");
+        });
+    });
+    client.log = [];
+    return client;
+}
+
+/**
+ * Wait until a GTP client has had a reply to every command sent.
+ */
+async function idle(client) {
+    while (client.current !== null || client.queue.length > 0) {
+        await new Promise(setImmediate);
+    }
+}
+
+test("GTP vertices count rows from the bottom and skip I", () => {
+    assert.strictEqual(gtpVertex(new Point(4, 16), 19), "D4");
+    assert.strictEqual(gtpVertex(new Point(9, 1), 19), "J19");
+    assert.strictEqual(gtpVertex(null, 19), "pass");
+    assert.deepStrictEqual(gtpPoint("j19", 19), new Point(9, 1));
+    assert.strictEqual(gtpPoint("PASS", 9), null);
+    for (let v of ["I5", "A0", "A10", "K1", "", "D4x"]) {
+        assert.throws(() => gtpPoint(v, 9), GtpError, v);
+    }
+});
+
+/**
+ * Create a clock whose time is set by hand, in seconds.
+ */
+function fakeClock(settings) {
+    let clock = new Clock(settings, () => clock.t * 1000);
+    clock.t = 0;
+    return clock;
+}
+
+test("absolute time runs out", () => {
+    let c = fakeClock({timing: Timing.ABSOLUTE, main: 60000});
+    c.start(Player.B);
+    c.t = 50;
+    c.press();
+    c.t = 70;
+    assert.strictEqual(c.display(Player.B), "0:10");
+    assert.strictEqual(c.display(Player.W), "0:40");
+    assert.strictEqual(c.flagged(), null);
+    c.t = 111;
+    assert.strictEqual(c.flagged(), Player.W);
+    assert.strictEqual(c.display(Player.W), "time");
+});
+
+test("byo-yomi periods are used up only by overrunning them", () => {
+    let c = fakeClock({timing: Timing.BYOYOMI, main: 10000, periods: 3, period: 30000});
+    c.start(Player.B);
+    c.t = 35;
+    assert.strictEqual(c.display(Player.B), "0:05 (3)");
+    c.t = 55;
+    assert.strictEqual(c.display(Player.B), "0:15 (2)");
+    c.press();
+    c.press();
+    assert.strictEqual(c.display(Player.B), "0:30 (2)");
+    c.t = 135;
+    assert.strictEqual(c.flagged(), Player.B);
+});
+
+test("Canadian overtime gives a new block once its stones are played", () => {
+    let c = fakeClock({timing: Timing.CANADIAN, main: 0, period: 60000, stones: 2});
+    c.start(Player.B);
+    c.t = 20;
+    c.press();
+    c.press();
+    assert.strictEqual(c.display(Player.B), "0:40 / 1");
+    c.t = 30;
+    c.press();
+    assert.strictEqual(c.display(Player.B), "1:00 / 2");
+    c.press();
+    c.t = 100;
+    assert.strictEqual(c.flagged(), Player.B);
+});
+
+test("Fischer time adds an increment after each move", () => {
+    let c = fakeClock({timing: Timing.FISCHER, main: 60000, increment: 10000});
+    c.start(Player.B);
+    c.t = 15;
+    c.press();
+    assert.strictEqual(c.display(Player.B), "0:55");
+});
+
+test("a paused clock stops, and a restored clock gives time back", () => {
+    let c = fakeClock({timing: Timing.ABSOLUTE, main: 60000});
+    c.start(Player.B);
+    let rec = c.save();
+    c.t = 10;
+    c.pause();
+    c.t = 100;
+    assert.strictEqual(c.display(Player.B), "0:50");
+    c.resume();
+    c.t = 110;
+    c.press();
+    assert.strictEqual(c.display(Player.B), "0:40");
+    c.restore(rec);
+    c.t = 115;
+    assert.strictEqual(c.display(Player.B), "0:55");
+    assert.strictEqual(c.display(Player.W), "1:00");
+});
+
+/**
+ * Follow a pointer on a 9x9 goban whose lines are 30 pixels apart.
+ */
+function fakeTouch(mode) {
+    let touch = new Touch(new Board(9, {canvas: {width: 300}}));
+    touch.setMode(mode);
+    return touch;
+}
+
+/**
+ * A pointer event at play position (x, y), or off it by some pixels.
+ */
+function pointer(type, x, y, dx = 0, dy = 0) {
+    return {pointerId: 1, pointerType: type, isPrimary: true, button: 0, offsetX: x * 30 + dx, offsetY: y * 30 + dy};
+}
+
+test("a mouse places a stone where it is released, even in touch mode", () => {
+    let touch = fakeTouch("release");
+    assert.strictEqual(touch.press(pointer("mouse", 3, 4)), false);
+    assert.strictEqual(touch.move(pointer("mouse", 5, 5)), false);
+    assert.deepStrictEqual(touch.release(pointer("mouse", 5, 5, 14, -14)), new Point(5, 5));
+    assert.strictEqual(touch.aim, null);
+    assert.strictEqual(touch.release(pointer("mouse", 5, 5)), null);
+    assert.strictEqual(touch.press({...pointer("mouse", 3, 4), button: 2}), false);
+    assert.strictEqual(touch.release(pointer("mouse", 3, 4)), null);
+    // a touch outside touch mode is the same as a click, and may miss the board
+    touch.setMode("off");
+    assert.strictEqual(touch.press(pointer("touch", 10, 0)), false);
+    assert.deepStrictEqual(touch.release(pointer("touch", 10, 0)), new Point(10, 0));
+});
+
+test("a touch aims, and places a stone on release or when confirmed", () => {
+    let touch = fakeTouch("release");
+    assert.strictEqual(touch.press(pointer("touch", 3, 4)), true);
+    assert.deepStrictEqual(touch.aim, new Point(3, 4));
+    assert.strictEqual(touch.move(pointer("touch", 6, 2, 10, 0)), true);
+    assert.deepStrictEqual(touch.aim, new Point(6, 2));
+    // the aim stays on the board however far the finger strays
+    touch.move(pointer("touch", 12, -1));
+    assert.deepStrictEqual(touch.aim, new Point(9, 1));
+    assert.deepStrictEqual(touch.release(pointer("touch", 12, -1)), new Point(9, 1));
+    assert.strictEqual(touch.aim, null);
+
+    touch.setMode("confirm");
+    touch.press(pointer("touch", 3, 4));
+    touch.move(pointer("touch", 4, 4));
+    assert.strictEqual(touch.release(pointer("touch", 4, 4)), null);
+    assert.deepStrictEqual(touch.aim, new Point(4, 4));
+    assert.strictEqual(touch.move(pointer("touch", 5, 5)), false);
+    assert.deepStrictEqual(touch.confirm(), new Point(4, 4));
+    assert.strictEqual(touch.confirm(), null);
+});
+
+test("a cancelled touch stops aiming and places no stone", () => {
+    let touch = fakeTouch("release");
+    touch.press(pointer("touch", 3, 4));
+    touch.cancel(pointer("touch", 3, 4));
+    assert.strictEqual(touch.aim, null);
+    assert.strictEqual(touch.move(pointer("touch", 5, 5)), false);
+    assert.strictEqual(touch.release(pointer("touch", 5, 5)), null);
+    // as does changing the mode while aiming
+    touch.press(pointer("touch", 3, 4));
+    touch.setMode("confirm");
+    assert.strictEqual(touch.aim, null);
+    assert.strictEqual(touch.release(pointer("touch", 3, 4)), null);
+});
+
+test("positions are named by the usual coordinates", () => {
+    assert.strictEqual(pointName(new Point(4, 16), 19), "D4");
+    assert.strictEqual(pointName(new Point(25, 1), 25), "Z25");
+    assert.strictEqual(pointName(new Point(27, 30), 30), "column 27 row 1");
+});
+
+test("the GTP client follows moves, undo and redo", async () => {
+    let e = new Engine(9);
+    let gtp = fakeGtp();
+    await gtp.attach(e);
+    playAll(e, ["cc", "gg", ""]);
+    e.undo();
+    e.redo();
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log, [
+        "boardsize 9", "clear_board", "komi 6.5",
+        "play b C7", "play w G3", "play b pass", "undo", "play b pass",
+    ]);
+    gtp.detach();
+    playAll(e, ["dd"]);
+    await idle(gtp);
+    assert.strictEqual(gtp.log.length, 8);
+});
+
+test("the GTP client sets up a loaded game from its start", async () => {
+    let e = new Engine(19);
+    let gtp = fakeGtp();
+    await gtp.attach(e);
+    gtp.log = [];
+    e.loadSgf("(;SZ[5]KM[0.5]AB[aa]AW[ee];B[cc];W[dd])");
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log, [
+        "boardsize 5", "clear_board", "komi 0.5",
+        "play b A5", "play w E1", "play b C3", "play w D2",
+    ]);
+});
+
+test("the GTP client replays a game from its last edit", async () => {
+    let e = new Engine(5);
+    let gtp = fakeGtp();
+    await gtp.attach(e);
+    playAll(e, ["aa", "ee"]);
+    e.edit({stones: [{p: sgfPoint("aa", 5), player: null}]});
+    playAll(e, ["cc"]);
+    await idle(gtp);
+    gtp.log = [];
+    e.undo();
+    e.undo();
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log, [
+        "undo",
+        "boardsize 5", "clear_board", "komi 6.5", "play b A5", "play w E1",
+    ]);
+    gtp.log = [];
+    e.redo();
+    e.redo();
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log, [
+        "boardsize 5", "clear_board", "komi 6.5", "play w E1",
+        "play b C3",
+    ]);
+});
+
+test("a move generated by the GTP engine is played once", async () => {
+    let e = new Engine(9);
+    let gtp = fakeGtp({"genmove b": "= e5"});
+    await gtp.attach(e);
+    let p = await gtp.genmove(e.turn);
+    assert.deepStrictEqual(p, new Point(5, 5));
+    assert.strictEqual(e.move(p), null);
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log.slice(3), ["genmove b", "undo", "play b E5"]);
+});
+
+test("a resignation is not taken back", async () => {
+    let e = new Engine(9);
+    let gtp = fakeGtp({"genmove b": "= resign"});
+    await gtp.attach(e);
+    assert.strictEqual(await gtp.genmove(Player.B), "resign");
+    await idle(gtp);
+    assert.deepStrictEqual(gtp.log.slice(3), ["genmove b"]);
+});
+
+test("GTP errors are reported", async () => {
+    let e = new Engine(9);
+    let gtp = fakeGtp({"play b C7": "? illegal move", "final_score": "= B+2.5"});
+    let errors = [];
+    gtp.onerror = err => errors.push(err);
+    await gtp.attach(e);
+    playAll(e, ["cc"]);
+    assert.strictEqual(await gtp.finalScore(), "B+2.5");
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof GtpError);
+    assert.match(errors[0].message, /illegal move/);
+    await assert.rejects(gtp.boardsize(26), GtpError);
+});
+
+test("the GTP bridge decodes masked WebSocket frames", () => {
+    let payload = Buffer.from("genmove b\n".repeat(20));
+    let mask = Buffer.from([1, 2, 3, 4]);
+    let masked = Buffer.from(payload.map((b, i) => b ^ mask[i % 4]));
+    let frame = Buffer.concat([Buffer.from([0x81, 0x80 | 126, 0, payload.length]), mask, masked]);
+    let res = wsParse(Buffer.concat([frame, frame.subarray(0, 5)]));
+    assert.strictEqual(res.frames.length, 1);
+    assert.strictEqual(res.frames[0].opcode, 1);
+    assert.strictEqual(res.frames[0].payload.toString(), payload.toString());
+    assert.strictEqual(res.rest.length, 5);
+    let sent = wsParse(wsFrame(1, Buffer.from("= D4\n\n")));
+    assert.strictEqual(sent.frames[0].payload.toString(), "= D4\n\n");
+});
+
+test("the GTP bridge refuses frames which are too long", () => {
+    let head = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 1, 0, 0, 0, 0]);
+    assert.throws(() => wsParse(head), RangeError);
+    let huge = Buffer.from([0x81, 0x80 | 127, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+    assert.throws(() => wsParse(huge), RangeError);
+});
+
+test("the GTP bridge admits only the goban's pages and commands", () => {
+    assert.ok(allowedOrigin("http://localhost:8000", null));
+    assert.ok(allowedOrigin("http://127.0.0.1", null));
+    assert.ok(!allowedOrigin("https://example.com", null));
+    assert.ok(!allowedOrigin("http://localhost.example.com", null));
+    assert.ok(!allowedOrigin("null", null));
+    assert.ok(!allowedOrigin(undefined, null));
+    assert.ok(allowedOrigin("null", ["null"]));
+    assert.ok(!allowedOrigin("http://localhost:8000", ["https://goban.example.org"]));
+    assert.ok(allowedCommand("play b D4"));
+    assert.ok(allowedCommand("12 genmove w"));
+    assert.ok(!allowedCommand("printsgf /tmp/x.sgf"));
+    assert.ok(!allowedCommand("loadsgf game.sgf"));
+    assert.ok(!allowedCommand("3 quit"));
+});